@@ -1,4 +1,59 @@
+import { resolveBaseline } from './src/resolve-baseline.js';
+import { ResourceFetcher } from './src/resource-fetcher.js';
+import { loadSettings, onSettingsChanged } from './src/settings.js';
+import { describeTarget, evaluateFeatures } from './src/target-policy.js';
+import { ScanHistory } from './src/scan-history.js';
+import { SiteCrawler } from './src/site-crawler.js';
+import { FrameResults, mergeFrameResults } from './src/frame-results.js';
+import { applySuppressions } from './src/suppressions.js';
+import { WebStatusService } from './src/webstatus-service.js';
+import { toWebFeatureId } from './src/feature-rules.js';
+import tracerScript from './src/page-tracer.js?script&module';
 
+const resourceFetcher = new ResourceFetcher();
+const scanHistory = new ScanHistory();
+const frameResults = new FrameResults();
+// Baseline data for the popup, content scripts and badge, from webstatus.dev over the snapshot
+const webStatus = new WebStatusService();
+const siteCrawler = new SiteCrawler({ frameResults, webStatus });
+const TRACER_SCRIPT_ID = 'baseline-page-tracer';
+// Open DevTools panels by inspected tab, each sent the tab's results whenever they change
+const panelPorts = new Map();
+
+// Trace mode: register the page-world tracer so it runs before page scripts on every load
+async function syncTracer({ traceMode }) {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [TRACER_SCRIPT_ID] });
+    if (traceMode && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: TRACER_SCRIPT_ID,
+        js: [tracerScript],
+        matches: ['<all_urls>'],
+        runAt: 'document_start',
+        allFrames: true,
+        world: 'MAIN'
+      }]);
+    } else if (!traceMode && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [TRACER_SCRIPT_ID] });
+    }
+  } catch (error) {
+    console.log('Could not update trace mode:', error);
+  }
+}
+
+function configureWebStatus({ liveData, webStatusURL }) {
+  webStatus.configure({ enabled: liveData, baseURL: webStatusURL });
+}
+
+loadSettings().then(settings => {
+  syncTracer(settings);
+  configureWebStatus(settings);
+});
+onSettingsChanged(settings => {
+  syncTracer(settings);
+  configureWebStatus(settings);
+  reevaluateTabs(settings);
+});
 
 // Install event
 chrome.runtime.onInstalled.addListener(() => {
@@ -16,49 +71,287 @@ chrome.runtime.onInstalled.addListener(() => {
   }
 });
 
+function rejectFetch(message, sendResponse) {
+  const urls = Array.isArray(message.urls) ? message.urls : [];
+  sendResponse({ results: urls.map(url => ({ url, error: 'Only pages can request subresources' })) });
+}
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'FEATURES_DETECTED') {
-    // Update badge with number of detected features
-    updateBadge(sender.tab?.id, message.features);
-    
-    // Store detected features for the tab
-    if (sender.tab?.id) {
-      chrome.storage.session.set({
-        [`features_${sender.tab.id}`]: {
-          features: message.features,
-          url: message.url,
-          title: message.title,
-          timestamp: Date.now()
-        }
-      }).catch(error => {
-        console.log('Storage error:', error);
-      });
+    handleFeaturesDetected(message, sender).catch(error => {
+      console.log('Error handling detected features:', error);
+    });
+  }
+
+  // Subresources are only fetched for content scripts running in a tab's frames
+  if (message.type === 'FETCH_STYLESHEETS') {
+    if (!sender.tab) {
+      rejectFetch(message, sendResponse);
+      return;
     }
+    resourceFetcher.fetchAll(message.urls || []).then(results => sendResponse({ results }));
+    return true; // Keep the channel open for the async response
+  }
+
+  if (message.type === 'FETCH_SCRIPTS') {
+    if (!sender.tab) {
+      rejectFetch(message, sendResponse);
+      return;
+    }
+    resourceFetcher.fetchScripts(message.urls || []).then(results => sendResponse({ results }));
+    return true;
+  }
+
+  // Baseline records by web-features id, as { records: { [id]: record } }
+  if (message.type === 'GET_BASELINE') {
+    webStatus.getFeatures(message.ids || [])
+      .then(records => sendResponse({ records: Object.fromEntries(records) }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
+
+  // Local feature ids resolved the way the badge resolves them, as { features: [...] }
+  if (message.type === 'RESOLVE_FEATURES') {
+    resolveFeatures((message.ids || []).map(id => ({ id })))
+      .then(features => sendResponse({ features }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'SEARCH_FEATURES') {
+    webStatus.search(message.query, { pageSize: message.pageSize, pageToken: message.pageToken })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_HISTORY') {
+    getHistory(message.url).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'START_CRAWL') {
+    startCrawl(message.url, message.options).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'CANCEL_CRAWL') {
+    siteCrawler.cancel();
+    sendResponse({ status: 'cancelling' });
+  }
+
+  if (message.type === 'GET_CRAWL') {
+    siteCrawler.getState().then(sendResponse);
+    return true;
+  }
+
+  // The DevTools panel can't message content scripts itself
+  if (message.type === 'REANALYZE_TAB') {
+    chrome.tabs.sendMessage(message.tabId, { type: 'REANALYZE_PAGE' })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'CLEAR_HISTORY') {
+    scanHistory.clear(message.url)
+      .then(() => sendResponse({ status: 'cleared' }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// === DevTools Panels ===
+// A panel connects with the inspected tab's id and gets the stored results right away
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'devtools-panel') return;
+
+  port.onMessage.addListener(async ({ tabId }) => {
+    if (!panelPorts.has(tabId)) {
+      panelPorts.set(tabId, new Set());
+    }
+    panelPorts.get(tabId).add(port);
+    port.onDisconnect.addListener(() => panelPorts.get(tabId)?.delete(port));
+
+    const key = `features_${tabId}`;
+    const { [key]: record } = await chrome.storage.session.get(key);
+    port.postMessage({ type: 'RESULTS', record: record || null });
+  });
 });
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'session') return;
+  panelPorts.forEach((ports, tabId) => {
+    const change = changes[`features_${tabId}`];
+    if (!change) return;
+    ports.forEach(port => port.postMessage({ type: 'RESULTS', record: change.newValue || null }));
+  });
+});
+
+// Crawls run for minutes, so answer once started and report progress through storage
+async function startCrawl(url, options) {
+  if (siteCrawler.running) {
+    return { error: 'A crawl is already running' };
+  }
+  if (!/^https?:/.test(url || '')) {
+    return { error: 'Only http(s) pages can be crawled' };
+  }
+
+  const { target, suppressions } = await loadSettings();
+  siteCrawler.start(url, options, target, suppressions).catch(error => {
+    console.log('Crawl error:', error);
+  });
+  return { status: 'started' };
+}
+
+async function getHistory(url) {
+  try {
+    const { history } = await loadSettings();
+    return { enabled: history, ...await scanHistory.getSummary(url) };
+  } catch (error) {
+    console.log('History error:', error);
+    return { enabled: false, error: error.message };
+  }
+}
+
+async function handleFeaturesDetected(message, sender) {
+  const tabId = sender.tab?.id;
+  if (!tabId) return;
+
+  // Each frame reports separately; the tab's results are all of its frames merged
+  const frames = await frameResults.update(tabId, sender.frameId ?? 0, sender.documentId, {
+    url: message.url,
+    title: message.title,
+    features: message.features || [],
+    stats: message.stats
+  });
+  const page = mergeFrameResults(frames);
+
+  const { target, history, suppressions } = await loadSettings();
+  const features = applySuppressions(evaluateFeatures(await resolveFeatures(page.features), target), suppressions, page.url);
+
+  // Update badge with number of detected features
+  updateBadge(tabId, features, target);
+
+  // Store detected features for the tab
+  writeTabRecord(() => chrome.storage.session.set({
+    [`features_${tabId}`]: {
+      features,
+      url: page.url,
+      title: page.title,
+      stats: page.stats,
+      frames: page.frames,
+      target: describeTarget(target),
+      timestamp: Date.now()
+    }
+  }));
+
+  // Opt-in history survives the tab; updates from the same document replace its scan.
+  // Pages are keyed by their top-level document, so wait until that has reported.
+  if (history && frames[0]) {
+    scanHistory.record({
+      url: page.url,
+      title: page.title,
+      target: describeTarget(target),
+      documentId: frames[0].documentId,
+      features
+    }).catch(error => {
+      console.log('History error:', error);
+    });
+  }
+}
+
+// Detections and re-evaluations both write `features_<tabId>`; one at a time, so a
+// re-evaluation can check that the record it started from is still current
+let tabRecordWrites = Promise.resolve();
+function writeTabRecord(write) {
+  tabRecordWrites = tabRecordWrites.then(write).catch(error => {
+    console.log('Storage error:', error);
+  });
+  return tabRecordWrites;
+}
+
+// Resolve with whatever webstatus.dev data is cached, so the badge doesn't wait on the network.
+// Stale records are refreshed meanwhile, and open tabs re-evaluated once they arrive.
+async function resolveFeatures(features) {
+  const ids = features.map(feature => toWebFeatureId(feature.id));
+  webStatus.refresh(ids).then(async updated => {
+    if (updated) await reevaluateTabs(await loadSettings());
+  }).catch(error => {
+    console.log('Error refreshing Baseline data:', error);
+  });
+  return resolveCached(features);
+}
+
+async function resolveCached(features) {
+  const ids = features.map(feature => toWebFeatureId(feature.id));
+  return resolveBaseline(features, await webStatus.getCached(ids));
+}
+
+// Re-check stored results against a changed target, suppressions or Baseline data so badges
+// update without a reload. Uses cached data only, so a re-evaluation never starts a refresh.
+async function reevaluateTabs({ target, suppressions }) {
+  try {
+    const stored = await chrome.storage.session.get(null);
+    for (const [key, record] of Object.entries(stored)) {
+      if (!key.startsWith('features_')) continue;
+      const tabId = Number(key.slice('features_'.length));
+      const resolved = await resolveCached(record.features || []);
+      const features = applySuppressions(evaluateFeatures(resolved, target), suppressions, record.url);
+
+      await writeTabRecord(async () => {
+        // The tab may have reported new results meanwhile; those are already up to date
+        const { [key]: current } = await chrome.storage.session.get(key);
+        if (current?.timestamp !== record.timestamp) return;
+        updateBadge(tabId, features, target);
+        await chrome.storage.session.set({ [key]: { ...record, features, target: describeTarget(target) } });
+      });
+    }
+  } catch (error) {
+    console.log('Error re-evaluating tabs:', error);
+  }
+}
+
+// The badge fits about three characters
+function badgeCount(count) {
+  return count > 99 ? '99+' : String(count);
+}
+
 // Update extension badge based on detected features
-function updateBadge(tabId, features) {
-  if (!tabId || !features || features.length === 0) {
+function updateBadge(tabId, detected, target) {
+  // Suppressed features have been reviewed; they don't count
+  const features = (detected || []).filter(f => !f.suppression);
+  const suppressed = detected ? detected.length - features.length : 0;
+  const suppressedNote = suppressed > 0 ? ` (${suppressed} suppressed)` : '';
+
+  if (!tabId || features.length === 0) {
     chrome.action.setBadgeText({text: '', tabId}).catch(() => {});
+    chrome.action.setTitle({title: suppressed > 0 ? `All ${suppressed} detected feature(s) are suppressed` : '', tabId}).catch(() => {});
     return;
   }
 
-  // Count features with limited support
-  const limitedFeatures = features.filter(f => f.baseline?.status === 'limited');
+  // Count features that violate the browser support target
+  const violatingFeatures = features.filter(f => f.compliance?.compliant === false);
   
-  if (limitedFeatures.length > 0) {
+  if (violatingFeatures.length > 0) {
     chrome.action.setBadgeText({
-      text: limitedFeatures.length.toString(),
+      text: badgeCount(violatingFeatures.length),
+      tabId
+    }).catch(() => {});
+    chrome.action.setTitle({
+      title: `${violatingFeatures.length} feature(s) violate ${describeTarget(target)}${suppressedNote}`,
       tabId
     }).catch(() => {});
     chrome.action.setBadgeBackgroundColor({color: '#dc3545', tabId}).catch(() => {}); // Red
   } else {
     // Show total feature count in green
-    const count = Math.min(features.length, 99); // Limit display to 2 digits
     chrome.action.setBadgeText({
-      text: count.toString(),
+      text: badgeCount(features.length),
+      tabId
+    }).catch(() => {});
+    chrome.action.setTitle({
+      title: `All detected features meet ${describeTarget(target)}${suppressedNote}`,
       tabId
     }).catch(() => {});
     chrome.action.setBadgeBackgroundColor({color: '#28a745', tabId}).catch(() => {}); // Green
@@ -68,6 +361,7 @@ function updateBadge(tabId, features) {
 // Clean up stored data when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
   chrome.storage.session.remove(`features_${tabId}`).catch(() => {});
+  frameResults.remove(tabId).catch(() => {});
 });
 
 // Handle context menu clicks
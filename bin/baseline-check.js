@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// baseline-check - Headless Baseline feature detection for local HTML/CSS/JS files
+//
+// Usage: baseline-check [options] <path...>
+//   --threshold <widely|newly|limited>  Fail when a feature is below this status (default: newly);
+//                                       features only used behind a feature test pass
+//   --json                              Print results as JSON
+//   --help                              Show this help
+
+import { scanPaths } from '../src/file-scanner.js';
+import { isGuardedUsage } from '../src/target-policy.js';
+
+const STATUS_RANK = {
+  limited: 0,
+  newly: 1,
+  widely: 2
+};
+
+const STATUS_SYMBOLS = {
+  widely: '✔',
+  newly: '▲',
+  limited: '✖'
+};
+
+const USAGE = `Usage: baseline-check [options] <path...>
+
+Options:
+  --threshold <widely|newly|limited>  Fail when a feature is below this status (default: newly)
+  --json                              Print results as JSON
+  --help                              Show this help`;
+
+function parseArgs(argv) {
+  const options = { threshold: 'newly', json: false, help: false, paths: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--threshold') {
+      options.threshold = argv[++i];
+    } else if (arg.startsWith('--threshold=')) {
+      options.threshold = arg.slice('--threshold='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.paths.push(arg);
+    }
+  }
+
+  if (!(options.threshold in STATUS_RANK)) {
+    throw new Error(`Invalid threshold "${options.threshold}", expected widely, newly or limited`);
+  }
+  return options;
+}
+
+function featureStatus(feature) {
+  return feature.baseline?.status || 'limited';
+}
+
+function printReport(files, features, failures, threshold) {
+  console.log(`baseline-check: scanned ${files.length} file(s), ${features.length} feature(s) detected\n`);
+
+  const sorted = [...features].sort((a, b) =>
+    STATUS_RANK[featureStatus(a)] - STATUS_RANK[featureStatus(b)] || a.name.localeCompare(b.name)
+  );
+  sorted.forEach(feature => {
+    const status = featureStatus(feature);
+    const label = `${feature.name} (${feature.webFeatureId})${isGuardedUsage(feature) ? ' [guarded]' : ''}`;
+    console.log(`  ${STATUS_SYMBOLS[status]} ${status.padEnd(8)} ${label.padEnd(48)} ${feature.files.join(', ')}`);
+  });
+
+  console.log('');
+  if (failures.length > 0) {
+    console.log(`${failures.length} feature(s) below the "${threshold}" threshold`);
+  } else {
+    console.log(`All features meet the "${threshold}" threshold`);
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.help || options.paths.length === 0) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const { files, features } = await scanPaths(options.paths);
+  // Guarded usage is progressive enhancement: browsers without the feature skip it
+  const failures = features.filter(f =>
+    STATUS_RANK[featureStatus(f)] < STATUS_RANK[options.threshold] && !isGuardedUsage(f)
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify({ threshold: options.threshold, files: files.length, features, failures: failures.map(f => f.id) }, null, 2));
+  } else {
+    printReport(files, features, failures, options.threshold);
+  }
+
+  // Set the exit code rather than exiting so piped JSON output is fully flushed
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('baseline-check failed:', error.message);
+  process.exit(2);
+});
@@ -1,14 +1,78 @@
 // content.js - Chrome Extension Content Script for Baseline Feature Detection
 
+import { detectStyleSheet, detectComputedStyle, detectScriptText, detectHTMLDocument, detectHTMLElements, findFeatureElements } from './src/detection-rules.js';
+import { getFeatureRule } from './src/feature-rules.js';
+import { readStyleSheet, readStyleAttributes, describeElement } from './src/cssom-reader.js';
+import { findImportSpecifiers, resolveSpecifier } from './src/module-graph.js';
+import { addElementLocator, toQuerySelector, queryAll } from './src/element-locator.js';
+import { InspectorOverlay } from './src/inspector-overlay.js';
+import { findShadowRoots } from './src/shadow-roots.js';
+import { AnalysisCache, hashText } from './src/analysis-cache.js';
+import { PageResults } from './src/page-results.js';
+import { loadSettings } from './src/settings.js';
+
+// Resource Timing entries for script files that no <script> element references (dynamic chunks)
+const SCRIPT_URL_PATTERN = /\.m?js(\?|#|$)/;
+
+// Upper bound on elements the inspector outlines at once
+const MAX_HIGHLIGHTS = 500;
+
+// The computed-style scan checks elements in idle-time chunks of at most this many ms
+const COMPUTED_STYLE_BUDGET = 8;
+const IDLE_TIMEOUT = 500;
+
+// Calling locations kept per traced feature, as many as page-tracer.js records
+const MAX_TRACE_ORIGINS = 10;
+
+// Trace messages arrive over window.postMessage, which any script on the page can send;
+// keep only well-formed origins
+function sanitizeOrigins(origins) {
+  if (!Array.isArray(origins)) return [];
+  return origins
+    .filter(origin => typeof origin?.url === 'string' && Number.isFinite(origin.line) && Number.isFinite(origin.count))
+    .slice(0, MAX_TRACE_ORIGINS)
+    .map(({ url, line, column, count }) => ({ url, line, column: Number.isFinite(column) ? column : 0, count }));
+}
+
 class BaselineFeatureDetector {
   constructor() {
-    this.detectedFeatures = new Set();
+    // Features of the current analysis, with the resources and feature tests merged into them
+    this.results = new PageResults();
     this.observers = [];
     this.reanalyzeTimeout = null;
+    this.analysisId = 0;
+    this.styleSheetStats = { analyzed: 0, fetched: 0, skipped: 0, pending: 0, shadowRoots: 0 };
+    this.crossOriginStyleSheets = [];
+    // Readable stylesheets by source label, for the inspector's rule click-through
+    this.styleSheetSources = new Map();
+    // Open shadow roots of web components, found again on every analysis
+    this.shadowRoots = [];
+    this.scriptStats = { inline: 0, external: 0, skipped: 0, unparsed: 0, pending: 0 };
+    this.elementStats = { scanned: 0, pending: 0 };
+    // Elements each computed-style feature is active on, for counts and highlighting
+    this.styledElements = new Map();
+    // Stylesheets (with their rule count) and inline scripts already read in the current analysis,
+    // so mutation passes don't serialize and hash them again
+    this.seenStyleSheets = new WeakMap();
+    this.seenScripts = new WeakSet();
+    this.requestedURLs = new Set();
+    // Detection results by source and content hash; kept across analyses
+    this.analysisCache = new AnalysisCache();
+    // Elements added since the last pass, analyzed incrementally after the mutation debounce
+    this.pendingNodes = new Set();
+    // Runtime calls reported by page-tracer.js in trace mode, keyed by feature id
+    this.tracedCalls = new Map();
+    // Settles once the latest analysis is complete: cross-origin sheets, external scripts
+    // and the computed-style scan
+    this.pendingWork = Promise.resolve();
+    this.inspector = new InspectorOverlay({ resolveRuleText: location => this.findRuleText(location) });
     this.init();
   }
 
   init() {
+    // Set up mutation observer for dynamic content
+    this.setupMutationObserver();
+
     // Wait for DOM to be ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.analyzeDocument());
@@ -16,428 +80,455 @@ class BaselineFeatureDetector {
       this.analyzeDocument();
     }
 
-    // Set up mutation observer for dynamic content
-    this.setupMutationObserver();
-
     // Listen for messages from popup/background
     chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+
+    // Collect calls recorded by the page-world tracer; only listen when trace mode injected it,
+    // so other pages can't post made-up calls
+    loadSettings().then(({ traceMode }) => {
+      if (!traceMode) return;
+      window.addEventListener('message', this.handleTraceMessage.bind(this));
+      window.postMessage({ source: 'baseline-detector', type: 'TRACE_REQUEST' }, '*');
+    }).catch(error => {
+      console.warn('Could not load settings for trace mode:', error);
+    });
   }
 
+  // Full analysis: start over from the whole document (page load, "Re-analyze")
   analyzeDocument() {
-    this.detectedFeatures.clear();
-    this.detectCSSFeatures();
+    const analysisId = ++this.analysisId;
+    clearTimeout(this.reanalyzeTimeout);
+    this.pendingNodes.clear();
+    this.results.clear();
+    this.requestedURLs.clear();
+    this.seenStyleSheets = new WeakMap();
+    this.seenScripts = new WeakSet();
+    this.styleSheetSources = new Map();
+    this.styleSheetStats = { analyzed: 0, fetched: 0, skipped: 0, pending: 0, shadowRoots: 0 };
+    this.scriptStats = { inline: 0, external: 0, skipped: 0, unparsed: 0, pending: 0 };
+    this.elementStats = { scanned: 0, pending: 0 };
+    this.styledElements.clear();
+
+    this.shadowRoots = findShadowRoots(document);
+    this.observeShadowRoots(this.shadowRoots);
+    this.styleSheetStats.shadowRoots = this.shadowRoots.length;
+    const elements = [document, ...this.shadowRoots]
+      .flatMap(root => Array.from(root.querySelectorAll('*')))
+      .filter(el => !this.inspector.contains(el));
+
+    this.detectCSSFeatures(null);
     this.detectJavaScriptFeatures();
-    this.detectHTMLFeatures();
+    this.detectHTMLFeatures(null);
+    this.applyTracedCalls();
     this.sendResultsToBackground();
+    this.pendingWork = Promise.all([
+      this.analyzeRemoteResources(analysisId),
+      this.scanComputedStyles(elements, analysisId)
+    ]);
   }
 
-  // === CSS Feature Detection ===
-  detectCSSFeatures() {
-    try {
-      this.analyzeStyleSheets();
-      this.analyzeComputedStyles();
-      this.detectCSSCustomProperties();
-      this.detectModernCSSFeatures();
-    } catch (error) {
-      console.warn('CSS feature detection error:', error);
-    }
-  }
-
-  analyzeStyleSheets() {
-    const cssText = this.getAllCSSText();
-
-    // CSS Grid
-    if (/display:\s*grid|display:\s*inline-grid|grid-template|grid-area|grid-column|grid-row/.test(cssText)) {
-      this.addFeature('css-grid', 'CSS Grid Layout', 'css', 'Found in stylesheets');
-    }
-
-    // Flexbox
-    if (/display:\s*flex|display:\s*inline-flex|flex-direction|flex-wrap|justify-content|align-items/.test(cssText)) {
-      this.addFeature('flexbox', 'CSS Flexible Box Layout', 'css', 'Found in stylesheets');
-    }
-
-    // CSS Container Queries
-    if (/@container|container-type|container-name/.test(cssText)) {
-      this.addFeature('css-container-queries', 'CSS Container Queries', 'css', 'Found in stylesheets');
-    }
-
-    // CSS Subgrid
-    if (/grid-template.*subgrid|subgrid/.test(cssText)) {
-      this.addFeature('css-subgrid', 'CSS Subgrid', 'css', 'Found in stylesheets');
-    }
-
-    // CSS Cascade Layers
-    if (/@layer/.test(cssText)) {
-      this.addFeature('css-cascade-layers', 'CSS Cascade Layers', 'css', 'Found in stylesheets');
-    }
-
-    // CSS aspect-ratio
-    if (/aspect-ratio\s*:/.test(cssText)) {
-      this.addFeature('css-aspect-ratio', 'CSS aspect-ratio', 'css', 'Found in stylesheets');
-    }
-
-    // CSS gap (for flexbox/grid)
-    if (/gap\s*:|column-gap\s*:|row-gap\s*:/.test(cssText)) {
-      this.addFeature('flexbox-gap', 'CSS Gap', 'css', 'Found gap property');
-    }
+  // Incremental analysis after DOM mutations: only stylesheets, scripts and elements that are
+  // new since the last pass are analyzed, and their hits are merged into the current results
+  analyzeChanges() {
+    const nodes = Array.from(this.pendingNodes).filter(node => node.isConnected);
+    this.pendingNodes.clear();
+
+    const knownRoots = new Set(this.shadowRoots);
+    this.shadowRoots = findShadowRoots(document);
+    const newRoots = this.shadowRoots.filter(root => !knownRoots.has(root));
+    this.observeShadowRoots(newRoots);
+    this.styleSheetStats.shadowRoots = this.shadowRoots.length;
+
+    // Added subtrees, plus everything inside components that appeared since the last pass
+    const elements = new Set();
+    nodes.forEach(node => {
+      elements.add(node);
+      node.querySelectorAll('*').forEach(el => elements.add(el));
+    });
+    newRoots.forEach(root => root.querySelectorAll('*').forEach(el => elements.add(el)));
+    const added = Array.from(elements).filter(el => !this.inspector.contains(el));
 
-    // CSS transforms
-    if (/transform\s*:|transform3d|translateX|translateY|translateZ|rotate|scale|skew/.test(cssText)) {
-      this.addFeature('css-transforms', 'CSS Transforms', 'css', 'Found in stylesheets');
+    const before = this.results.size();
+    this.detectCSSFeatures(added);
+    this.detectJavaScriptFeatures();
+    this.detectHTMLFeatures(added);
+    this.applyTracedCalls();
+    if (this.results.size() !== before) {
+      this.sendResultsToBackground();
     }
 
-    // CSS animations
-    if (/@keyframes|animation\s*:|animation-name/.test(cssText)) {
-      this.addFeature('css-animations', 'CSS Animations', 'css', 'Found animations');
-    }
+    this.pendingWork = Promise.all([
+      this.pendingWork,
+      this.analyzeRemoteResources(this.analysisId),
+      this.scanComputedStyles(added, this.analysisId)
+    ]);
+  }
 
-    // CSS transitions
-    if (/transition\s*:|transition-property|transition-duration/.test(cssText)) {
-      this.addFeature('css-transitions', 'CSS Transitions', 'css', 'Found transitions');
-    }
+  // Stylesheets and scripts the page cannot hand us directly are fetched by the background worker
+  async analyzeRemoteResources(analysisId) {
+    const styleSheetURLs = this.crossOriginStyleSheets.splice(0);
+    const scriptURLs = this.collectScriptURLs();
+    if (styleSheetURLs.length === 0 && scriptURLs.length === 0) return;
 
-    // CSS backdrop-filter
-    if (/backdrop-filter\s*:/.test(cssText)) {
-      this.addFeature('css-backdrop-filter', 'CSS backdrop-filter', 'css', 'Found in stylesheets');
-    }
+    this.styleSheetStats.pending += styleSheetURLs.length;
+    this.scriptStats.pending += scriptURLs.length;
+    await Promise.all([
+      styleSheetURLs.length > 0 && this.analyzeCrossOriginStyleSheets(styleSheetURLs, analysisId),
+      scriptURLs.length > 0 && this.analyzeExternalScripts(scriptURLs, analysisId)
+    ]);
 
-    // CSS mask
-    if (/mask\s*:|mask-image|mask-position/.test(cssText)) {
-      this.addFeature('css-masks', 'CSS Masks', 'css', 'Found in stylesheets');
+    if (analysisId === this.analysisId) {
+      this.sendResultsToBackground();
     }
+  }
 
-    // CSS clamp()
-    if (/clamp\s*\(/.test(cssText)) {
-      this.addFeature('css-math-functions', 'CSS Math Functions', 'css', 'Found clamp() function');
-    }
+  // === CSS Feature Detection ===
+  // `elements` limits style attributes to added elements; null means all
+  detectCSSFeatures(elements) {
+    try {
+      this.collectStyleSheets().forEach(({ source, styleSheet, hash }) => {
+        const result = this.analysisCache.run(`${source}\n${hash}`,
+          add => detectStyleSheet(readStyleSheet(styleSheet, source), add),
+          this.addFeature.bind(this));
+        this.results.addGuards(result.guards);
+        this.styleSheetStats.analyzed++;
+      });
 
-    // CSS logical properties
-    if (/margin-inline|padding-inline|border-inline|margin-block|padding-block/.test(cssText)) {
-      this.addFeature('css-logical-props', 'CSS Logical Properties', 'css', 'Found logical properties');
+      const roots = [document, ...this.shadowRoots];
+      const styled = elements ? elements.filter(el => el.hasAttribute('style'))
+        : roots.flatMap(root => Array.from(root.querySelectorAll('[style]')));
+      detectStyleSheet(readStyleAttributes(styled), this.addFeature.bind(this));
+    } catch (error) {
+      console.warn('CSS feature detection error:', error);
     }
   }
 
-  getAllCSSText() {
-    let cssText = '';
+  // Every accessible stylesheet not analyzed yet - in the document and in each open shadow root,
+  // including constructed sheets adopted by either. Instances of one component share adopted
+  // sheets and repeat the same <style>, so sheets are told apart by content, not by node.
+  // Sheets read before are skipped unless rules were inserted or removed since (CSS-in-JS).
+  // Inline <style> sheets are labeled by content hash, which stays put when others are inserted.
+  // Cross-origin sheets are queued for the background worker to fetch.
+  collectStyleSheets() {
+    const styleSheets = [];
+
     try {
-      // Get CSS from stylesheets
-      Array.from(document.styleSheets).forEach(styleSheet => {
-        try {
-          if (styleSheet.cssRules) {
-            Array.from(styleSheet.cssRules).forEach(rule => {
-              cssText += rule.cssText + ' ';
-            });
+      const readList = (list, label) => {
+        Array.from(list || []).forEach((styleSheet, index) => {
+          let text;
+          let hash;
+          try {
+            const ruleCount = styleSheet.cssRules.length;
+            if (this.seenStyleSheets.get(styleSheet) === ruleCount) return;
+            this.seenStyleSheets.set(styleSheet, ruleCount);
+            text = Array.from(styleSheet.cssRules, rule => rule.cssText).join('\n');
+            hash = hashText(text);
+          } catch (e) {
+            const source = styleSheet.href || label(index);
+            // Cross-origin stylesheet
+            if (styleSheet.href && !this.requestedURLs.has(styleSheet.href)) {
+              this.requestedURLs.add(styleSheet.href);
+              this.crossOriginStyleSheets.push(styleSheet.href);
+            } else if (!styleSheet.href && this.results.claim(`unreadable ${source}`)) {
+              this.styleSheetStats.skipped++;
+            }
+            return;
           }
-        } catch (e) {
-          // Cross-origin stylesheet
-          console.debug('Cannot access cross-origin stylesheet');
-        }
-      });
 
-      // Get inline styles
-      Array.from(document.querySelectorAll('[style]')).forEach(el => {
-        cssText += el.style.cssText + ' ';
+          const source = styleSheet.href || label(index, hash);
+          this.styleSheetSources.set(source, styleSheet);
+          if (!this.results.claim(text, hash)) return;
+          styleSheets.push({ source, styleSheet, hash });
+        });
+      };
+
+      readList(document.styleSheets, (index, hash) => `inline <style> #${hash ?? index + 1}`);
+      readList(document.adoptedStyleSheets, index => `adopted stylesheet #${index + 1}`);
+      this.shadowRoots.forEach(root => {
+        const host = root.host.localName;
+        readList(root.styleSheets, index => `<${host}> shadow <style> #${index + 1}`);
+        readList(root.adoptedStyleSheets, index => `<${host}> adopted stylesheet #${index + 1}`);
       });
-
     } catch (error) {
       console.warn('Error reading CSS:', error);
     }
-    return cssText;
+    return styleSheets;
   }
 
-  analyzeComputedStyles() {
-    const elements = document.querySelectorAll('*');
-    const sampleSize = Math.min(elements.length, 50); // Limit for performance
-
-    for (let i = 0; i < sampleSize; i++) {
-      const element = elements[Math.floor(Math.random() * elements.length)];
-      const styles = getComputedStyle(element);
-
-      // Grid usage
-      if (styles.display === 'grid' || styles.display === 'inline-grid') {
-        this.addFeature('css-grid', 'CSS Grid Layout', 'css', `Active on ${element.tagName.toLowerCase()}`);
-      }
+  async analyzeCrossOriginStyleSheets(urls, analysisId) {
+    let results;
+    try {
+      ({ results } = await chrome.runtime.sendMessage({ type: 'FETCH_STYLESHEETS', urls }));
+    } catch (error) {
+      console.debug('Could not fetch cross-origin stylesheets:', error);
+      results = urls.map(url => ({ url, error: error.message }));
+    }
 
-      // Flexbox usage
-      if (styles.display === 'flex' || styles.display === 'inline-flex') {
-        this.addFeature('flexbox', 'CSS Flexible Box Layout', 'css', `Active on ${element.tagName.toLowerCase()}`);
-      }
+    // A newer analysis has started; its own fetch will report these sheets
+    if (analysisId !== this.analysisId) return;
 
-      // CSS transforms
-      if (styles.transform && styles.transform !== 'none') {
-        this.addFeature('css-transforms', 'CSS Transforms', 'css', `Active on ${element.tagName.toLowerCase()}`);
+    this.styleSheetStats.pending -= urls.length;
+    results.forEach(({ url, text, error }) => {
+      if (error) {
+        console.debug(`Cannot analyze cross-origin stylesheet ${url}: ${error}`);
+        this.styleSheetStats.skipped++;
+        return;
       }
 
-      // CSS filters
-      if (styles.filter && styles.filter !== 'none') {
-        this.addFeature('css-filters', 'CSS Filters', 'css', `Active on ${element.tagName.toLowerCase()}`);
+      const hash = this.results.claim(text);
+      if (!hash) return;
+      try {
+        const result = this.analysisCache.run(`${url}\n${hash}`, add => {
+          // Constructable stylesheets parse without applying to the page (@import rules are dropped)
+          const styleSheet = new CSSStyleSheet();
+          styleSheet.replaceSync(text);
+          return detectStyleSheet(readStyleSheet(styleSheet, url), add);
+        }, this.addFeature.bind(this));
+        this.results.addGuards(result.guards);
+        this.styleSheetStats.analyzed++;
+        this.styleSheetStats.fetched++;
+      } catch (parseError) {
+        console.debug(`Cannot parse stylesheet ${url}:`, parseError);
+        this.styleSheetStats.skipped++;
       }
-    }
+    });
   }
 
-  detectCSSCustomProperties() {
-    const cssText = this.getAllCSSText();
+  // Check every element, in document order, while the page is idle. The scan is complete and
+  // deterministic, so two runs on the same page report the same features and element counts.
+  scanComputedStyles(elements, analysisId) {
+    this.elementStats.pending += elements.length;
+    const addStyled = this.addStyledElement.bind(this);
+
+    return new Promise(resolve => {
+      let index = 0;
+      const step = (deadline) => {
+        // A newer full analysis scans everything again
+        if (analysisId !== this.analysisId) {
+          resolve();
+          return;
+        }
 
-    // Custom property definitions
-    if (/--[\w-]+\s*:/.test(cssText)) {
-      this.addFeature('css-custom-properties', 'CSS Custom Properties', 'css', 'Found custom property definitions');
-    }
+        const started = performance.now();
+        while (index < elements.length && performance.now() - started < COMPUTED_STYLE_BUDGET &&
+          (deadline.didTimeout || deadline.timeRemaining() > 0)) {
+          const element = elements[index++];
+          if (element.isConnected) {
+            detectComputedStyle(element, getComputedStyle(element), addStyled);
+          }
+          this.elementStats.scanned++;
+          this.elementStats.pending--;
+        }
 
-    // Custom property usage
-    if (/var\(--[\w-]+\)/.test(cssText)) {
-      this.addFeature('css-custom-properties', 'CSS Custom Properties', 'css', 'Found var() usage');
-    }
+        if (index < elements.length) {
+          requestIdleCallback(step, { timeout: IDLE_TIMEOUT });
+        } else {
+          if (elements.length > 0) this.sendResultsToBackground();
+          resolve();
+        }
+      };
+      requestIdleCallback(step, { timeout: IDLE_TIMEOUT });
+    });
   }
 
-  detectModernCSSFeatures() {
-    const cssText = this.getAllCSSText();
-
-    // CSS :has() selector
-    if (/:has\s*\(/.test(cssText)) {
-      this.addFeature('css-has', 'CSS :has() selector', 'css', 'Found :has() selector');
-    }
-
-    // CSS :is() selector
-    if (/:is\s*\(/.test(cssText)) {
-      this.addFeature('css-is', 'CSS :is() selector', 'css', 'Found :is() selector');
-    }
-
-    // CSS :where() selector
-    if (/:where\s*\(/.test(cssText)) {
-      this.addFeature('css-where', 'CSS :where() selector', 'css', 'Found :where() selector');
-    }
-
-    // CSS nesting
-    if (/&\s*\{|&\s*:/.test(cssText)) {
-      this.addFeature('css-nesting', 'CSS Nesting', 'css', 'Found nesting syntax');
+  addStyledElement(id, name, type, evidence, location, elements) {
+    const feature = this.addFeature(id, name, type, evidence, location, elements);
+    if (!this.styledElements.has(id)) {
+      this.styledElements.set(id, new Set());
     }
+    const styled = this.styledElements.get(id);
+    elements.forEach(el => styled.add(el));
+    feature.elementCount = styled.size;
   }
 
   // === JavaScript Feature Detection ===
   detectJavaScriptFeatures() {
     try {
-      this.detectPromiseFeatures();
-      this.detectModernSyntax();
-      this.detectWebAPIs();
-      this.detectESModules();
+      this.collectInlineScripts().forEach(({ source, text, hash }) => {
+        this.analyzeScript(text, source, hash);
+      });
     } catch (error) {
       console.warn('JavaScript feature detection error:', error);
     }
   }
 
-  detectPromiseFeatures() {
-    const scripts = this.getAllScriptText();
-
-    // Promise.allSettled
-    if (typeof Promise.allSettled === 'function' && /Promise\.allSettled/.test(scripts)) {
-      this.addFeature('promise-allsettled', 'Promise.allSettled()', 'javascript', 'Found in scripts');
-    }
-
-    // Promise.any
-    if (typeof Promise.any === 'function' && /Promise\.any/.test(scripts)) {
-      this.addFeature('promise-any', 'Promise.any()', 'javascript', 'Found in scripts');
-    }
-
-    // Promise.try (newer feature)
-    if (typeof Promise.try === 'function' && /Promise\.try/.test(scripts)) {
-      this.addFeature('promise-try', 'Promise.try()', 'javascript', 'Found in scripts');
+  // Inline scripts whose content has not been analyzed yet, labeled by content hash so labels
+  // and cache keys don't shift when scripts are inserted before them. Scripts only run once, so
+  // one read per element is enough.
+  collectInlineScripts() {
+    const scripts = [];
+    try {
+      document.querySelectorAll('script:not([src])').forEach(script => {
+        if (this.seenScripts.has(script)) return;
+        this.seenScripts.add(script);
+        if (script.type && !/^(module|(text|application)\/(javascript|ecmascript))$/i.test(script.type)) return;
+        const hash = this.results.claim(script.textContent);
+        if (!hash) return;
+        scripts.push({ source: `inline <script> #${hash}`, text: script.textContent, hash });
+      });
+      this.scriptStats.inline += scripts.length;
+    } catch (error) {
+      console.warn('Error reading scripts:', error);
     }
+    return scripts;
   }
 
-  detectModernSyntax() {
-    const scripts = this.getAllScriptText();
-
-    // Optional chaining
-    if (/\?\.[a-zA-Z_$]/.test(scripts)) {
-      this.addFeature('optional-chaining', 'Optional Chaining', 'javascript', 'Found ?. syntax');
-    }
-
-    // Nullish coalescing
-    if (/\?\?/.test(scripts)) {
-      this.addFeature('nullish-coalescing', 'Nullish Coalescing', 'javascript', 'Found ?? syntax');
-    }
-
-    // Async/await
-    if (/async\s+function|await\s/.test(scripts)) {
-      this.addFeature('async-await', 'Async/Await', 'javascript', 'Found async/await syntax');
-    }
-
-    // Arrow functions
-    if (/=>\s*\{|=>\s*[^{]/.test(scripts)) {
-      this.addFeature('arrow-functions', 'Arrow Functions', 'javascript', 'Found => syntax');
-    }
-
-    // Template literals
-    if (/`[^`]*`/.test(scripts)) {
-      this.addFeature('template-literals', 'Template Literals', 'javascript', 'Found backtick syntax');
-    }
-
-    // Destructuring
-    if (/\{\s*[\w,\s]+\}\s*=|\[\s*[\w,\s]+\]\s*=/.test(scripts)) {
-      this.addFeature('destructuring', 'Destructuring Assignment', 'javascript', 'Found destructuring syntax');
-    }
-
-    // Spread operator
-    if (/\.\.\.[\w$]/.test(scripts)) {
-      this.addFeature('spread-operator', 'Spread Operator', 'javascript', 'Found ... syntax');
+  analyzeScript(text, source, hash = hashText(text)) {
+    const result = this.analysisCache.run(`${source}\n${hash}`,
+      add => detectScriptText(text, add, { runtime: true, source }),
+      this.addFeature.bind(this));
+    if (!result.parsed) {
+      console.debug(`Cannot parse script ${source}: ${result.error}`);
+      this.scriptStats.unparsed++;
+    } else {
+      this.results.addGuards(result.guards);
     }
+    return result.parsed;
   }
 
-  detectWebAPIs() {
-    const scripts = this.getAllScriptText();
-
-    // Fetch API
-    if ('fetch' in window && /fetch\s*\(/.test(scripts)) {
-      this.addFeature('fetch', 'Fetch API', 'web-api', 'Found fetch() usage');
-    }
-
-    // Intersection Observer
-    if ('IntersectionObserver' in window && /IntersectionObserver/.test(scripts)) {
-      this.addFeature('intersection-observer', 'Intersection Observer', 'web-api', 'Found usage');
-    }
-
-    // ResizeObserver
-    if ('ResizeObserver' in window && /ResizeObserver/.test(scripts)) {
-      this.addFeature('resize-observer', 'Resize Observer', 'web-api', 'Found usage');
-    }
+  // External scripts, modules imported by inline module scripts, and script resources
+  // loaded at runtime (dynamic imports, lazy chunks) as seen by the Resource Timing API.
+  // URLs already requested in the current analysis are left out.
+  collectScriptURLs() {
+    const urls = new Set();
+    try {
+      document.querySelectorAll('script[src]').forEach(script => {
+        if (script.src) urls.add(script.src);
+      });
 
-    // Web Workers
-    if ('Worker' in window && /new\s+Worker/.test(scripts)) {
-      this.addFeature('web-workers', 'Web Workers', 'web-api', 'Found Worker usage');
-    }
+      document.querySelectorAll('script[type="module"]:not([src])').forEach(script => {
+        findImportSpecifiers(script.textContent).forEach(specifier => {
+          const resolved = resolveSpecifier(specifier, document.baseURI);
+          if (resolved) urls.add(resolved);
+        });
+      });
 
-    // Service Worker
-    if ('serviceWorker' in navigator && /serviceWorker/.test(scripts)) {
-      this.addFeature('service-workers', 'Service Workers', 'web-api', 'Found serviceWorker usage');
+      performance.getEntriesByType('resource').forEach(entry => {
+        const path = entry.name.split(/[?#]/)[0];
+        if (entry.initiatorType === 'script' || SCRIPT_URL_PATTERN.test(path)) {
+          urls.add(entry.name);
+        }
+      });
+    } catch (error) {
+      console.warn('Error collecting script URLs:', error);
     }
 
-    // Payment Request API
-    if ('PaymentRequest' in window && /PaymentRequest/.test(scripts)) {
-      this.addFeature('payment-request', 'Payment Request API', 'web-api', 'Found usage');
-    }
+    const fresh = Array.from(urls).filter(url => /^https?:/.test(url) && !this.requestedURLs.has(url));
+    fresh.forEach(url => this.requestedURLs.add(url));
+    return fresh;
+  }
 
-    // Web Share API
-    if ('share' in navigator && /navigator\.share/.test(scripts)) {
-      this.addFeature('web-share', 'Web Share API', 'web-api', 'Found navigator.share usage');
+  async analyzeExternalScripts(urls, analysisId) {
+    let results;
+    try {
+      ({ results } = await chrome.runtime.sendMessage({ type: 'FETCH_SCRIPTS', urls }));
+    } catch (error) {
+      console.debug('Could not fetch external scripts:', error);
+      results = urls.map(url => ({ url, error: error.message }));
     }
 
-    // Clipboard API
-    if (navigator.clipboard && /navigator\.clipboard/.test(scripts)) {
-      this.addFeature('clipboard-api', 'Clipboard API', 'web-api', 'Found clipboard usage');
-    }
+    if (analysisId !== this.analysisId) return;
 
-    // Geolocation API
-    if ('geolocation' in navigator && /navigator\.geolocation/.test(scripts)) {
-      this.addFeature('geolocation', 'Geolocation API', 'web-api', 'Found geolocation usage');
-    }
-  }
-
-  detectESModules() {
-    const moduleScripts = document.querySelectorAll('script[type="module"]');
-    if (moduleScripts.length > 0) {
-      this.addFeature('es-modules', 'ES Modules', 'javascript', `Found ${moduleScripts.length} module script(s)`);
-    }
+    this.scriptStats.pending -= urls.length;
+    results.forEach(({ url, text, error }) => {
+      if (error) {
+        console.debug(`Cannot analyze script ${url}: ${error}`);
+        this.scriptStats.skipped++;
+        return;
+      }
 
-    // Dynamic imports
-    const scripts = this.getAllScriptText();
-    if (/import\s*\(/.test(scripts)) {
-      this.addFeature('dynamic-import', 'Dynamic Import', 'javascript', 'Found import() usage');
-    }
+      // The same bundle can be served under several URLs (cache-busting queries)
+      const hash = this.results.claim(text);
+      if (hash && this.analyzeScript(text, url, hash)) {
+        this.scriptStats.external++;
+      }
+    });
   }
 
-  getAllScriptText() {
-    let scriptText = '';
+  // === HTML Feature Detection ===
+  // Runtime probes only run on full analyses; incremental passes query the added elements
+  detectHTMLFeatures(elements) {
     try {
-      Array.from(document.querySelectorAll('script:not([src])')).forEach(script => {
-        scriptText += script.textContent + ' ';
-      });
+      if (elements) {
+        detectHTMLElements(elements, this.addFeature.bind(this));
+      } else {
+        detectHTMLDocument(document, this.addFeature.bind(this), { runtime: true, shadowRoots: this.shadowRoots });
+      }
     } catch (error) {
-      console.warn('Error reading scripts:', error);
+      console.warn('HTML feature detection error:', error);
     }
-    return scriptText;
   }
 
-  // === HTML Feature Detection ===
-  detectHTMLFeatures() {
-    // Custom Elements
-    if (customElements && customElements.getNames().length > 0) {
-      this.addFeature('custom-elements', 'Custom Elements', 'html', 'Found registered custom elements');
-    }
+  // === Runtime Tracing ===
+  handleTraceMessage(event) {
+    const data = event.data;
+    if (event.source !== window || data?.source !== 'baseline-tracer' || data.type !== 'TRACE_CALLS') return;
+    if (!Array.isArray(data.calls)) return;
 
-    // Shadow DOM
-    if (document.querySelector('[shadowroot]') || document.querySelectorAll('*').length !== document.querySelectorAll(':not([shadowroot] *)').length) {
-      this.addFeature('shadow-dom', 'Shadow DOM', 'html', 'Found shadow DOM usage');
-    }
-
-    // Modern form inputs
-    const modernInputs = document.querySelectorAll('input[type="date"], input[type="color"], input[type="range"], input[type="time"], input[type="datetime-local"]');
-    if (modernInputs.length > 0) {
-      this.addFeature('html5-forms', 'HTML5 Form Controls', 'html', `Found ${modernInputs.length} modern input types`);
-    }
-
-    // Details/Summary
-    const detailsElements = document.querySelectorAll('details');
-    if (detailsElements.length > 0) {
-      this.addFeature('details-summary', 'Details/Summary Elements', 'html', `Found ${detailsElements.length} details elements`);
-    }
+    // Each message is a cumulative snapshot, so it replaces what we had
+    data.calls.filter(Boolean).forEach(({ feature, count, origins }) => {
+      if (!getFeatureRule(feature) || !Number.isFinite(count)) return;
+      this.tracedCalls.set(feature, { count, origins: sanitizeOrigins(origins) });
+    });
 
-    // Picture element
-    const pictureElements = document.querySelectorAll('picture');
-    if (pictureElements.length > 0) {
-      this.addFeature('picture-element', 'Picture Element', 'html', `Found ${pictureElements.length} picture elements`);
-    }
+    this.applyTracedCalls();
+    this.sendResultsToBackground();
+  }
 
-    // Dialog element
-    const dialogElements = document.querySelectorAll('dialog');
-    if (dialogElements.length > 0) {
-      this.addFeature('dialog-element', 'Dialog Element', 'html', `Found ${dialogElements.length} dialog elements`);
-    }
+  // Mark features that were actually called; APIs only reached at runtime
+  // (obfuscated or lazily loaded code) are added even without a static hit
+  applyTracedCalls() {
+    this.tracedCalls.forEach((calls, id) => {
+      let feature = this.results.get(id);
+      if (!feature) {
+        const rule = getFeatureRule(id);
+        feature = this.addFeature(id, rule.name, rule.category, `Called ${calls.count} time(s) at runtime`);
+      }
+      feature.calls = calls;
+    });
   }
 
   // === Utility Methods ===
-  addFeature(id, name, type, evidence) {
-    // Convert Set to Array, find existing, update or add
-    const features = Array.from(this.detectedFeatures);
-    const existing = features.find(f => f.id === id);
-
-    if (existing) {
-      existing.evidence = evidence; // Update evidence
-    } else {
-      this.detectedFeatures.add({ id, name, type, evidence });
-    }
+  addFeature(id, name, type, evidence, location, elements = []) {
+    const feature = this.results.add(id, name, type, evidence, location);
+    // Remember which elements exhibit it, so it can be highlighted later
+    elements.forEach(el => addElementLocator(feature.locators, el));
+    return feature;
   }
 
   // === Mutation Observer ===
   setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
-      let shouldReanalyze = false;
-
+    this.mutationObserver = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE &&
-              (node.tagName === 'STYLE' || node.tagName === 'SCRIPT' ||
-                node.hasAttribute('style'))) {
-              shouldReanalyze = true;
-            }
-          });
-        }
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.pendingNodes.add(node);
+          } else if (node.parentElement && ['STYLE', 'SCRIPT'].includes(node.parentElement.tagName)) {
+            // Text written into an existing <style> or <script>
+            this.pendingNodes.add(node.parentElement);
+          }
+        });
       });
 
-      if (shouldReanalyze) {
+      if (this.pendingNodes.size > 0) {
         clearTimeout(this.reanalyzeTimeout);
         this.reanalyzeTimeout = setTimeout(() => {
-          this.analyzeDocument();
+          this.analyzeChanges();
         }, 1000);
       }
     });
 
-    observer.observe(document.body || document.documentElement, {
+    this.mutationObserver.observe(document.body || document.documentElement, {
       childList: true,
       subtree: true
     });
 
-    this.observers.push(observer);
+    this.observers.push(this.mutationObserver);
+  }
+
+  // Document-level observers don't see into shadow trees; watch each root on its own
+  observeShadowRoots(roots) {
+    roots.forEach(root => this.mutationObserver.observe(root, { childList: true, subtree: true }));
   }
 
   // === Message Handling ===
@@ -445,7 +536,8 @@ class BaselineFeatureDetector {
     switch (message.type) {
       case 'GET_DETECTED_FEATURES':
         sendResponse({
-          features: Array.from(this.detectedFeatures),
+          features: this.results.list(),
+          stats: { styleSheets: this.styleSheetStats, scripts: this.scriptStats, elements: this.elementStats },
           url: window.location.href,
           title: document.title
         });
@@ -457,17 +549,49 @@ class BaselineFeatureDetector {
         break;
 
       case 'HIGHLIGHT_FEATURE':
-        this.highlightFeatureUsage(message.featureId);
-        sendResponse({ status: 'highlighted' });
+        sendResponse({ status: 'highlighted', count: this.highlightFeatureUsage(message.featureId) });
         break;
+
+      case 'CLEAR_HIGHLIGHTS':
+        this.inspector.hide();
+        sendResponse({ status: 'cleared' });
+        break;
+
+      // Site crawl: complete results for this page plus the links to follow
+      // If a background pass failed, answer with what was found and the error
+      case 'COLLECT_PAGE':
+        this.pendingWork.then(() => null, error => {
+          console.warn('Page analysis error:', error);
+          return error;
+        }).then(error => {
+          sendResponse({
+            features: this.results.list(),
+            url: window.location.href,
+            title: document.title,
+            links: this.collectLinks(),
+            ...(error ? { error: String(error.message || error) } : {})
+          });
+        });
+        return true;
     }
   }
 
+  collectLinks() {
+    const links = new Set();
+    document.querySelectorAll('a[href]').forEach(link => {
+      if (/^https?:$/.test(link.protocol) && link.origin === window.location.origin) {
+        links.add(link.href.split('#')[0]);
+      }
+    });
+    return Array.from(links);
+  }
+
   sendResultsToBackground() {
     try {
       chrome.runtime.sendMessage({
         type: 'FEATURES_DETECTED',
-        features: Array.from(this.detectedFeatures),
+        features: this.results.list(),
+        stats: { styleSheets: this.styleSheetStats, scripts: this.scriptStats, elements: this.elementStats },
         url: window.location.href,
         title: document.title
       });
@@ -478,77 +602,82 @@ class BaselineFeatureDetector {
 
   // === Visual Highlighting ===
   highlightFeatureUsage(featureId) {
-    // Remove existing highlights
-    document.querySelectorAll('.baseline-highlight').forEach(el => {
-      el.classList.remove('baseline-highlight');
-      el.removeAttribute('data-baseline-feature');
-    });
+    const feature = this.results.get(featureId);
+    const rule = getFeatureRule(featureId);
+    const matches = this.findFeatureMatches(feature, featureId);
+    this.inspector.show({ id: featureId, name: feature?.name || rule?.name }, matches);
+    this.loadInspectorStatus(featureId);
+    return matches.length;
+  }
 
-    // Add highlighting styles
-    if (!document.getElementById('baseline-highlight-styles')) {
-      const style = document.createElement('style');
-      style.id = 'baseline-highlight-styles';
-      style.textContent = `
-        .baseline-highlight {
-          outline: 2px solid #ff6b00 !important;
-          outline-offset: 2px !important;
-          position: relative !important;
-        }
-        .baseline-highlight::after {
-          content: 'Baseline: ' attr(data-baseline-feature);
-          position: absolute;
-          top: -25px;
-          left: 0;
-          background: #ff6b00;
-          color: white;
-          padding: 2px 6px;
-          font-size: 12px;
-          border-radius: 3px;
-          z-index: 10000;
-          pointer-events: none;
-        }
-      `;
-      document.head.appendChild(style);
+  // The background answers from its webstatus.dev cache, which the badge uses too
+  async loadInspectorStatus(featureId) {
+    try {
+      const { features } = await chrome.runtime.sendMessage({ type: 'RESOLVE_FEATURES', ids: [featureId] });
+      const baseline = features?.[0]?.baseline;
+      if (baseline) this.inspector.setBaseline(featureId, baseline);
+    } catch (error) {
+      console.debug('Baseline status not available:', error);
     }
-
-    // Highlight based on feature ID
-    this.highlightSpecificFeature(featureId);
   }
 
-  highlightSpecificFeature(featureId) {
-    switch (featureId) {
-      case 'css-grid':
-        document.querySelectorAll('*').forEach(el => {
-          const style = getComputedStyle(el);
-          if (style.display === 'grid' || style.display === 'inline-grid') {
-            el.classList.add('baseline-highlight');
-            el.setAttribute('data-baseline-feature', 'CSS Grid');
-          }
-        });
-        break;
+  // Elements exhibiting a feature, each paired with the stylesheet rule that put it there (if any)
+  findFeatureMatches(feature, featureId) {
+    const matches = new Map();
+    const addMatch = (element, rule = null) => {
+      if (this.inspector.contains(element) || matches.size >= MAX_HIGHLIGHTS) return;
+      const match = matches.get(element);
+      if (!match) {
+        matches.set(element, { element, label: describeElement(element), rule });
+      } else if (rule && !match.rule) {
+        match.rule = rule;
+      }
+    };
+
+    // Components may have been added since the last analysis
+    const shadowRoots = findShadowRoots(document);
+    const roots = [document, ...shadowRoots];
+
+    feature?.locations.forEach(location => {
+      roots.forEach(root => {
+        if (location.source === 'style attribute') {
+          queryAll(root, '[style]')
+            .filter(el => describeElement(el) === location.selector)
+            .forEach(el => addMatch(el, location));
+        } else {
+          queryAll(root, toQuerySelector(location.selector)).forEach(el => addMatch(el, location));
+        }
+      });
+    });
+    feature?.locators.forEach(locator => {
+      queryAll(document, locator.selector).forEach(el => addMatch(el));
+    });
+    findFeatureElements(featureId, document, { shadowRoots }).forEach(el => addMatch(el));
+    this.styledElements.get(featureId)?.forEach(el => {
+      if (el.isConnected) addMatch(el);
+    });
 
-      case 'flexbox':
-        document.querySelectorAll('*').forEach(el => {
-          const style = getComputedStyle(el);
-          if (style.display === 'flex' || style.display === 'inline-flex') {
-            el.classList.add('baseline-highlight');
-            el.setAttribute('data-baseline-feature', 'Flexbox');
-          }
-        });
-        break;
+    return Array.from(matches.values());
+  }
 
-      case 'css-transforms':
-        document.querySelectorAll('*').forEach(el => {
-          const style = getComputedStyle(el);
-          if (style.transform && style.transform !== 'none') {
-            el.classList.add('baseline-highlight');
-            el.setAttribute('data-baseline-feature', 'CSS Transform');
-          }
-        });
-        break;
+  // CSS text of the rule behind a location, for the inspector's click-through
+  findRuleText({ source, selector }) {
+    const findIn = (rules) => {
+      for (const rule of Array.from(rules)) {
+        if (rule.selectorText === selector) return rule.cssText;
+        if (rule.cssRules) {
+          const text = findIn(rule.cssRules);
+          if (text) return text;
+        }
+      }
+      return null;
+    };
 
-      default:
-        console.log(`Highlighting not implemented for feature: ${featureId}`);
+    const styleSheet = this.styleSheetSources.get(source);
+    try {
+      return styleSheet ? findIn(styleSheet.cssRules) : null;
+    } catch {
+      return null;
     }
   }
 
@@ -556,6 +685,7 @@ class BaselineFeatureDetector {
   cleanup() {
     this.observers.forEach(observer => observer.disconnect());
     clearTimeout(this.reanalyzeTimeout);
+    this.inspector.destroy();
   }
 }
 
@@ -0,0 +1,153 @@
+// crawl.js - Site scan page: starts a crawl in the background worker and shows the inventory
+
+import { DEFAULT_CRAWL_OPTIONS } from './src/site-crawler.js';
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+class BaselineCrawl {
+  constructor() {
+    this.startUrl = document.getElementById('startUrl');
+    this.maxDepth = document.getElementById('maxDepth');
+    this.maxPages = document.getElementById('maxPages');
+    this.includePatterns = document.getElementById('includePatterns');
+    this.excludePatterns = document.getElementById('excludePatterns');
+    this.startButton = document.getElementById('startButton');
+    this.cancelButton = document.getElementById('cancelButton');
+    this.crawlProgress = document.getElementById('crawlProgress');
+    this.inventorySection = document.getElementById('inventorySection');
+    this.inventoryTitle = document.getElementById('inventoryTitle');
+    this.inventoryFilter = document.getElementById('inventoryFilter');
+    this.inventoryBody = document.getElementById('inventoryBody');
+    this.downloadButton = document.getElementById('downloadButton');
+    this.pagesSection = document.getElementById('pagesSection');
+    this.pagesBody = document.getElementById('pagesBody');
+    this.report = null;
+
+    this.init();
+  }
+
+  init() {
+    // The popup opens this page with ?url=<current tab>
+    const params = new URLSearchParams(window.location.search);
+    this.startUrl.value = params.get('url') || '';
+    this.maxDepth.value = DEFAULT_CRAWL_OPTIONS.maxDepth;
+    this.maxPages.value = DEFAULT_CRAWL_OPTIONS.maxPages;
+
+    this.startButton.addEventListener('click', () => this.start());
+    this.cancelButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'CANCEL_CRAWL' });
+    });
+    this.inventoryFilter.addEventListener('input', () => this.renderInventory());
+    this.downloadButton.addEventListener('click', () => this.download());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'session' && changes.crawl_state) {
+        this.renderState(changes.crawl_state.newValue);
+      }
+      if (areaName === 'local' && changes.crawl_report) {
+        this.report = changes.crawl_report.newValue;
+        this.renderReport();
+      }
+    });
+
+    chrome.runtime.sendMessage({ type: 'GET_CRAWL' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      this.renderState(response.state);
+      this.report = response.report;
+      this.renderReport();
+    });
+  }
+
+  start() {
+    const options = {
+      maxDepth: Math.max(0, Number(this.maxDepth.value) || 0),
+      maxPages: Math.max(1, Number(this.maxPages.value) || DEFAULT_CRAWL_OPTIONS.maxPages),
+      include: this.includePatterns.value,
+      exclude: this.excludePatterns.value
+    };
+
+    chrome.runtime.sendMessage({ type: 'START_CRAWL', url: this.startUrl.value.trim(), options }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        this.crawlProgress.innerHTML = `<span class="error">${escapeHTML(response?.error || chrome.runtime.lastError.message)}</span>`;
+      }
+    });
+  }
+
+  renderState(state) {
+    const running = state?.status === 'running';
+    this.startButton.disabled = running;
+    this.cancelButton.disabled = !running;
+    if (!state) return;
+
+    if (running) {
+      this.crawlProgress.textContent = `Scanned ${state.scanned} page(s), ${state.queued} queued${state.current ? ` — ${state.current}` : ''}`;
+    } else {
+      const seconds = Math.round((state.finishedAt - state.startedAt) / 1000);
+      this.crawlProgress.innerHTML = state.status === 'failed'
+        ? `<span class="error">Scan failed: ${escapeHTML(state.error)}</span>`
+        : `Scan ${state.status}: ${state.scanned} page(s) in ${seconds}s${state.queued ? `, ${state.queued} left unvisited` : ''}`;
+    }
+  }
+
+  renderReport() {
+    if (!this.report) return;
+    this.inventorySection.style.display = 'block';
+    this.pagesSection.style.display = 'block';
+    this.inventoryTitle.textContent = `Feature inventory for ${this.report.startUrl} (${this.report.features.length} features, target: ${this.report.target})`;
+    this.renderInventory();
+
+    this.pagesBody.innerHTML = this.report.pages.map(page => `
+      <tr>
+        <td class="url">
+          <a href="${escapeHTML(page.url)}" target="_blank" rel="noopener">${escapeHTML(page.title || page.url)}</a>
+          ${page.error ? `<div class="error">${escapeHTML(page.error)}</div>` : ''}
+        </td>
+        <td>${page.depth}</td>
+        <td>${page.featureCount}</td>
+        <td>${page.violating}</td>
+      </tr>
+    `).join('');
+  }
+
+  renderInventory() {
+    const query = this.inventoryFilter.value.trim().toLowerCase();
+    const features = this.report.features.filter(f =>
+      !query || [f.name, f.id, f.webFeatureId].some(text => text?.toLowerCase().includes(query))
+    );
+
+    this.inventoryBody.innerHTML = features.map(feature => {
+      const status = feature.baseline?.status || 'unknown';
+      const compliant = feature.compliance?.compliant;
+      return `
+        <tr>
+          <td>${escapeHTML(feature.name || feature.id)}</td>
+          <td><span class="status-badge status-${status}">${status}</span></td>
+          <td>${feature.suppression ? `<span title="${escapeHTML(feature.suppression.note || '')}">Suppressed</span>` : compliant === false ? `<span class="error" title="${escapeHTML(feature.compliance.reasons.join('; '))}">✖ Violates</span>` : compliant ? '✔' : '—'}</td>
+          <td>
+            <details>
+              <summary>${feature.pages.length} of ${this.report.pages.length}</summary>
+              <ul>${feature.pages.map(url => `<li><a href="${escapeHTML(url)}" target="_blank" rel="noopener">${escapeHTML(url)}</a></li>`).join('')}</ul>
+            </details>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  download() {
+    if (!this.report) return;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(this.report, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `baseline-site-scan-${new Date(this.report.startedAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Initialize crawl page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new BaselineCrawl();
+});
@@ -0,0 +1,3 @@
+// devtools.js - Adds the Baseline panel to DevTools
+
+chrome.devtools.panels.create('Baseline', 'public/Logo1.png', 'panel.html');
@@ -7,6 +7,8 @@ export default defineManifest({
   action: {
     default_popup: 'index.html',
   },
+  options_page: 'options.html',
+  devtools_page: 'devtools.html',
    "icons": {
     "16": "public/Logo1.png",
     "32": "public/Logo1.png",
@@ -16,19 +18,24 @@ export default defineManifest({
    "content_scripts": [
     {
       "matches": ["<all_urls>"],
-      "js": ["content.js"]
+      "js": ["content.js"],
+      "all_frames": true,
+      "match_origin_as_fallback": true
     }
   ],
    "background": {
-    "service_worker": "background.js"
+    "service_worker": "background.js",
+    "type": "module"
   },
   "permissions": [
     "activeTab",
     "tabs",
     "contextMenus",
-    "storage"
+    "scripting",
+    "storage",
+    "webNavigation"
   ],
   "host_permissions": [
-    "https://api.webstatus.dev/*"
+    "<all_urls>"
   ]
 });
@@ -0,0 +1,211 @@
+// options.js - Settings page: browser support target, suppressions and the Baseline data source
+
+import { DEFAULT_WEBSTATUS_URL, loadSettings, saveSettings } from './src/settings.js';
+import { BROWSERS, describeTarget, parseTargetQuery } from './src/target-policy.js';
+import { FEATURE_RULES } from './src/feature-rules.js';
+import { createSuppression, isExpired } from './src/suppressions.js';
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+class BaselineOptions {
+  constructor() {
+    this.targetYear = document.getElementById('targetYear');
+    this.browserVersions = document.getElementById('browserVersions');
+    this.targetQuery = document.getElementById('targetQuery');
+    this.targetPreview = document.getElementById('targetPreview');
+    this.saveButton = document.getElementById('saveButton');
+    this.saveStatus = document.getElementById('saveStatus');
+    this.suppressionList = document.getElementById('suppressionList');
+    this.suppressionFeature = document.getElementById('suppressionFeature');
+    this.suppressionScope = document.getElementById('suppressionScope');
+    this.suppressionNote = document.getElementById('suppressionNote');
+    this.suppressionExpires = document.getElementById('suppressionExpires');
+    this.addSuppressionButton = document.getElementById('addSuppression');
+    this.liveData = document.getElementById('liveData');
+    this.webStatusURL = document.getElementById('webStatusURL');
+    this.saveDataSourceButton = document.getElementById('saveDataSource');
+    this.dataSourceStatus = document.getElementById('dataSourceStatus');
+    this.suppressions = [];
+
+    this.init();
+  }
+
+  async init() {
+    this.renderBrowserInputs();
+
+    try {
+      const { target, suppressions, liveData, webStatusURL } = await loadSettings();
+      this.fillForm(target);
+      this.suppressions = suppressions;
+      this.renderSuppressions();
+      this.liveData.checked = liveData;
+      this.webStatusURL.value = webStatusURL;
+    } catch (error) {
+      console.log('Error loading settings:', error);
+    }
+
+    // Suggest both local rule ids and web-features ids
+    const featureIds = new Set(FEATURE_RULES.flatMap(rule => [rule.webFeatureId, rule.id]));
+    document.getElementById('featureIds').innerHTML = Array.from(featureIds).sort()
+      .map(id => `<option value="${escapeHTML(id)}">`).join('');
+
+    this.addSuppressionButton.addEventListener('click', () => this.addSuppression());
+    this.suppressionList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-remove]');
+      if (button) this.saveSuppressions(this.suppressions.filter(s => s.id !== button.dataset.remove));
+    });
+
+    document.querySelectorAll('#targetSection input').forEach(input => {
+      input.addEventListener('input', () => this.updatePreview());
+    });
+    this.saveButton.addEventListener('click', () => this.save());
+    this.saveDataSourceButton.addEventListener('click', () => this.saveDataSource());
+    this.updatePreview();
+  }
+
+  renderBrowserInputs() {
+    this.browserVersions.innerHTML = Object.entries(BROWSERS).map(([id, name]) => `
+      <label for="browser-${id}">${name}</label>
+      <input type="text" id="browser-${id}" data-browser="${id}" placeholder="any">
+    `).join('');
+  }
+
+  fillForm(target) {
+    const radio = document.querySelector(`input[name="targetType"][value="${target.type}"]`);
+    if (radio) radio.checked = true;
+
+    this.targetYear.value = target.year || new Date().getFullYear() - 2;
+    this.targetQuery.value = target.query || '';
+    Object.entries(target.browsers || {}).forEach(([browser, version]) => {
+      const input = this.browserVersions.querySelector(`[data-browser="${browser}"]`);
+      if (input) input.value = version;
+    });
+  }
+
+  readForm() {
+    const type = document.querySelector('input[name="targetType"]:checked')?.value || 'newly';
+    switch (type) {
+      case 'year':
+        return { type, year: Number(this.targetYear.value) };
+      case 'browsers': {
+        const browsers = {};
+        this.browserVersions.querySelectorAll('input').forEach(input => {
+          if (input.value.trim()) browsers[input.dataset.browser] = input.value.trim();
+        });
+        return { type, browsers };
+      }
+      case 'query':
+        return { type, query: this.targetQuery.value.trim() };
+      default:
+        return { type };
+    }
+  }
+
+  // Returns an error message, or null when the target can be saved
+  validate(target) {
+    if (target.type === 'year' && !(Number.isInteger(target.year) && target.year >= 2015)) {
+      return 'Enter a Baseline year from 2015 onwards';
+    }
+    if (target.type === 'browsers') {
+      const versions = Object.values(target.browsers);
+      if (versions.length === 0) return 'Enter at least one browser version';
+      if (versions.some(version => !/^\d+(\.\d+)*$/.test(version))) return 'Versions must be numbers like 110 or 16.4';
+    }
+    if (target.type === 'query') {
+      try {
+        parseTargetQuery(target.query);
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+
+  updatePreview() {
+    const target = this.readForm();
+    const error = this.validate(target);
+    this.targetPreview.classList.toggle('invalid', Boolean(error));
+    this.targetPreview.textContent = error || `Target: ${describeTarget(target)}`;
+    this.saveButton.disabled = Boolean(error);
+    this.saveStatus.textContent = '';
+  }
+
+  // === Suppressions ===
+  renderSuppressions() {
+    this.suppressionList.innerHTML = this.suppressions.length === 0
+      ? '<tr><td colspan="5" style="color: #6c757d;">No suppressions</td></tr>'
+      : this.suppressions.map(suppression => `
+        <tr>
+          <td>${escapeHTML(suppression.feature)}</td>
+          <td>${suppression.scope ? escapeHTML(suppression.scope) : 'All sites'}</td>
+          <td>${escapeHTML(suppression.note)}</td>
+          <td class="${isExpired(suppression) ? 'expired' : ''}">${suppression.expires ? escapeHTML(suppression.expires) : 'Never'}</td>
+          <td><button data-remove="${escapeHTML(suppression.id)}" title="Remove suppression">✖</button></td>
+        </tr>
+      `).join('');
+  }
+
+  addSuppression() {
+    if (!this.suppressionFeature.value.trim()) {
+      this.suppressionFeature.focus();
+      return;
+    }
+    const suppression = createSuppression({
+      feature: this.suppressionFeature.value,
+      scope: this.suppressionScope.value,
+      note: this.suppressionNote.value,
+      expires: this.suppressionExpires.value
+    });
+    [this.suppressionFeature, this.suppressionScope, this.suppressionNote, this.suppressionExpires].forEach(input => {
+      input.value = '';
+    });
+    this.saveSuppressions([...this.suppressions, suppression]);
+  }
+
+  async saveSuppressions(suppressions) {
+    try {
+      ({ suppressions: this.suppressions } = await saveSettings({ suppressions }));
+      this.renderSuppressions();
+    } catch (error) {
+      console.log('Error saving suppressions:', error);
+    }
+  }
+
+  // === Baseline Data ===
+  async saveDataSource() {
+    const webStatusURL = this.webStatusURL.value.trim() || DEFAULT_WEBSTATUS_URL;
+    if (!/^https?:\/\/[^/\s]+/.test(webStatusURL)) {
+      this.dataSourceStatus.textContent = 'Enter an http(s) URL';
+      return;
+    }
+
+    try {
+      await saveSettings({ liveData: this.liveData.checked, webStatusURL });
+      this.webStatusURL.value = webStatusURL;
+      this.dataSourceStatus.textContent = 'Saved';
+    } catch (error) {
+      console.log('Error saving settings:', error);
+      this.dataSourceStatus.textContent = `Could not save: ${error.message}`;
+    }
+  }
+
+  async save() {
+    const target = this.readForm();
+    if (this.validate(target)) return;
+
+    try {
+      await saveSettings({ target });
+      this.saveStatus.textContent = 'Saved';
+    } catch (error) {
+      console.log('Error saving settings:', error);
+      this.saveStatus.textContent = `Could not save: ${error.message}`;
+    }
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new BaselineOptions();
+});
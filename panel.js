@@ -0,0 +1,255 @@
+// panel.js - DevTools panel: every detected feature with its exact locations, mapped back to
+// original sources where the page ships source maps, with jumps to the Sources and Elements panels
+
+import { SourceResolver } from './src/source-locations.js';
+import { toQuerySelector } from './src/element-locator.js';
+import { hashText } from './src/analysis-cache.js';
+
+const { inspectedWindow } = chrome.devtools;
+
+// Upper bound on reveal buttons per feature
+const MAX_ELEMENTS = 10;
+const STATUS_ORDER = ['limited', 'newly', 'widely', 'unknown'];
+
+function escapeHTML(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function featureStatus(feature) {
+  return feature.baseline?.status || 'unknown';
+}
+
+// Text of a file the inspected page loaded. DevTools already holds it, which also covers files
+// the server would not hand out a second time; anything else is fetched.
+function loadResourceText(url) {
+  return new Promise(resolve => {
+    inspectedWindow.getResources(resources => {
+      const resource = resources.find(r => r.url === url);
+      if (!resource) {
+        resolve(null);
+        return;
+      }
+      resource.getContent((content, encoding) => resolve(encoding === 'base64' ? null : content));
+    });
+  }).then(async content => {
+    if (typeof content === 'string') return content;
+    const response = await fetch(url);
+    return response.ok ? response.text() : null;
+  });
+}
+
+// Page expression for the element behind a location, or null. Inline sources can't be opened
+// in Sources, but their <script> or <style> element can be selected in Elements. They are
+// labeled by content hash, so the page hashes its elements the same way to find them.
+function locationQuery(location) {
+  const inline = /^inline <(script|style)> #([\da-f]+-\d+)$/.exec(location.source);
+  if (inline) {
+    const matches = `(text) => (${hashText})(text) === ${JSON.stringify(inline[2])}`;
+    return inline[1] === 'script'
+      ? `Array.from(document.querySelectorAll('script:not([src])')).find(script => (${matches})(script.textContent))`
+      : `Array.from(document.styleSheets).find(sheet => { try { return (${matches})(Array.from(sheet.cssRules, rule => rule.cssText).join('\\n')); } catch { return false; } })?.ownerNode`;
+  }
+  if (location.source === 'style attribute' || !location.selector || location.selector.startsWith('@')) return null;
+  return `document.querySelector(${JSON.stringify(toQuerySelector(location.selector))})`;
+}
+
+// Locators reach into shadow roots through their hosts: `my-card >>> button`
+function locatorQuery(selector) {
+  return `${JSON.stringify(selector.split(' >>> '))}.reduce((node, part) => node && (node.shadowRoot || node).querySelector(part), document)`;
+}
+
+function formatPosition(url, line, column) {
+  return line ? `${url}:${line}:${column + 1}` : url;
+}
+
+class BaselinePanel {
+  constructor() {
+    this.filter = document.getElementById('filter');
+    this.statusFilter = document.getElementById('statusFilter');
+    this.summary = document.getElementById('summary');
+    this.reanalyzeButton = document.getElementById('reanalyzeButton');
+    this.featureList = document.getElementById('features');
+    this.resolver = new SourceResolver(loadResourceText);
+    this.record = null;
+    // Click handlers of the rendered buttons, by their data-action index
+    this.actions = [];
+    this.renderId = 0;
+
+    this.init();
+  }
+
+  init() {
+    const port = chrome.runtime.connect({ name: 'devtools-panel' });
+    port.onMessage.addListener((message) => {
+      if (message.type === 'RESULTS') {
+        this.record = message.record;
+        this.render();
+      }
+    });
+    port.postMessage({ tabId: inspectedWindow.tabId });
+
+    // A reload serves new files, and possibly new source maps
+    chrome.devtools.network.onNavigated.addListener(() => this.resolver.clear());
+
+    [this.filter, this.statusFilter].forEach(control => {
+      control.addEventListener('input', () => this.render());
+    });
+
+    this.reanalyzeButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'REANALYZE_TAB', tabId: inspectedWindow.tabId });
+    });
+
+    this.featureList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.actions[Number(button.dataset.action)]?.();
+    });
+  }
+
+  action(handler) {
+    this.actions.push(handler);
+    return this.actions.length - 1;
+  }
+
+  // === Jumps ===
+  openResource(url, line, column) {
+    // DevTools counts lines and columns from 0
+    chrome.devtools.panels.openResource(url, line ? line - 1 : 0, column || 0, (result) => {
+      if (result?.isError) {
+        this.summary.textContent = `Cannot open ${url} in Sources`;
+      }
+    });
+  }
+
+  reveal(query, frameURL) {
+    const expression = `(() => { try { const node = ${query}; if (node) inspect(node); return Boolean(node); } catch { return false; } })()`;
+    inspectedWindow.eval(expression, frameURL ? { frameURL } : {}, (found) => {
+      if (!found) {
+        this.summary.textContent = 'No matching element in the page any more';
+      }
+    });
+  }
+
+  // === Rendering ===
+  filteredFeatures() {
+    const query = this.filter.value.trim().toLowerCase();
+    const status = this.statusFilter.value;
+    return (this.record?.features || [])
+      .filter(f => !query || [f.name, f.id, f.webFeatureId].some(text => text?.toLowerCase().includes(query)))
+      .filter(f => status === 'all' || (status === 'violating' ? f.compliance?.compliant === false : featureStatus(f) === status))
+      .sort((a, b) => STATUS_ORDER.indexOf(featureStatus(a)) - STATUS_ORDER.indexOf(featureStatus(b)) ||
+        (a.name || a.id).localeCompare(b.name || b.id));
+  }
+
+  render() {
+    const renderId = ++this.renderId;
+    this.actions = [];
+
+    if (!this.record) {
+      this.summary.textContent = '';
+      this.featureList.innerHTML = '<div class="empty">No results for this page yet. Reload it or click Re-analyze.</div>';
+      return;
+    }
+
+    const features = this.filteredFeatures();
+    const violating = this.record.features.filter(f => f.compliance?.compliant === false && !f.suppression).length;
+    this.summary.textContent = `${this.record.features.length} feature(s), ${violating} violating ${this.record.target || 'the target'} — ${this.record.title || this.record.url}`;
+
+    const pending = [];
+    this.featureList.innerHTML = features.length === 0
+      ? '<div class="empty">No features match the filter.</div>'
+      : features.map(feature => this.renderFeature(feature, pending)).join('');
+    this.resolveLocations(pending, renderId);
+  }
+
+  renderFeature(feature, pending) {
+    const status = featureStatus(feature);
+    const reasons = feature.compliance?.compliant === false ? feature.compliance.reasons : [];
+    const rows = [
+      ...(feature.locations || []).map(location => this.renderLocation(location, 'usage', pending)),
+      ...(feature.guards || []).map(location => this.renderLocation(location, 'feature test', pending))
+    ];
+    const locators = (feature.locators || []).slice(0, MAX_ELEMENTS);
+
+    return `
+      <div class="feature">
+        <div class="feature-header">
+          <span class="feature-name">${escapeHTML(feature.name || feature.id)}</span>
+          <span class="feature-id">${escapeHTML(feature.webFeatureId || feature.id)}</span>
+          <span class="status-badge status-${status}">${status}</span>
+          ${reasons.length > 0 ? `<span class="violation">✖ ${escapeHTML(reasons.join('; '))}</span>` : ''}
+          ${feature.compliance?.guarded ? `<span class="guarded" title="${escapeHTML(feature.compliance.reasons.join('; '))}">Guarded: progressive enhancement</span>` : ''}
+          ${feature.suppression ? `<span class="muted" title="${escapeHTML(feature.suppression.note)}">Suppressed</span>` : ''}
+          <span class="muted">${escapeHTML(feature.evidence)}</span>
+        </div>
+        ${rows.length > 0 ? `
+          <table>
+            <tr><th>Location</th><th>Original source</th><th>Code</th><th></th></tr>
+            ${rows.join('')}
+          </table>
+        ` : ''}
+        ${locators.length > 0 ? `
+          <div class="elements">
+            <span class="muted">Elements:</span>
+            ${locators.map(locator => `
+              <button data-action="${this.action(() => this.reveal(locatorQuery(locator.selector), locator.frame))}"
+                title="${locator.frame ? `In frame ${escapeHTML(locator.frame)}` : 'Select in the Elements panel'}">${escapeHTML(locator.selector)}</button>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Locations in files open in Sources straight away; their resolved position and original
+  // source are filled in by resolveLocations()
+  renderLocation(location, kind, pending) {
+    const row = pending.length;
+    pending.push(location);
+
+    const isFile = /^(https?|file):/.test(location.source);
+    const label = formatPosition(location.source, location.line, location.column || 0);
+    const source = isFile
+      ? `<button class="link" data-action="${this.action(() => this.openResource(location.source, location.line, location.column))}">${escapeHTML(label)}</button>`
+      : escapeHTML(label);
+    const query = locationQuery(location);
+
+    return `
+      <tr data-row="${row}">
+        <td class="location">
+          ${source}
+          ${location.frame ? `<div class="muted">in frame ${escapeHTML(location.frame)}</div>` : ''}
+          ${kind !== 'usage' ? `<div class="muted">${kind}</div>` : ''}
+          ${location.guarded ? '<div class="guarded">guarded</div>' : ''}
+        </td>
+        <td class="original"></td>
+        <td><code>${escapeHTML(location.snippet || location.selector || '')}</code></td>
+        <td>${query ? `<button data-action="${this.action(() => this.reveal(query, location.frame))}" title="Select in the Elements panel">Reveal</button>` : ''}</td>
+      </tr>
+    `;
+  }
+
+  async resolveLocations(locations, renderId) {
+    for (const [row, location] of locations.entries()) {
+      const resolved = await this.resolver.resolve(location);
+      // A newer render replaced these rows
+      if (renderId !== this.renderId) return;
+      if (!resolved?.line) continue;
+
+      const cells = this.featureList.querySelector(`tr[data-row="${row}"]`);
+      const { url, line, column, original } = resolved;
+      if (!location.line) {
+        cells.querySelector('.location .link').outerHTML =
+          `<button class="link" data-action="${this.action(() => this.openResource(url, line, column))}">${escapeHTML(formatPosition(url, line, column))}</button>`;
+      }
+      if (original) {
+        cells.querySelector('.original').innerHTML =
+          `<button class="link" data-action="${this.action(() => this.openResource(original.url, original.line, original.column))}">${escapeHTML(formatPosition(original.url, original.line, original.column))}</button>`;
+      }
+    }
+  }
+}
+
+// Initialize panel when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new BaselinePanel();
+});
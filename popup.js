@@ -1,35 +1,382 @@
+import { baselineDataset } from './src/baseline-data.js';
+import { loadSettings, saveSettings } from './src/settings.js';
+import { resolveBaseline } from './src/resolve-baseline.js';
+import { toWebFeatureId } from './src/feature-rules.js';
+import { BROWSERS, describeTarget, evaluateFeature, evaluateFeatures } from './src/target-policy.js';
+import { buildReport } from './src/report-export.js';
+import { getRemediation } from './src/remediation.js';
+import { applySuppressions, createSuppression } from './src/suppressions.js';
+import { GROUP_FILTERS, STATUS_FILTERS, buildSearchQuery, countFilters, emptyFilters, suggestFeatures, yearFilters } from './src/search-query.js';
 
 
+const TYPE_ORDER = ['css', 'javascript', 'web-api', 'html'];
+const STATUS_ORDER = ['limited', 'newly', 'widely', 'unknown'];
+const GROUP_LABELS = {
+  css: 'CSS',
+  javascript: 'JavaScript',
+  'web-api': 'Web APIs',
+  html: 'HTML',
+  suppressed: 'Suppressed',
+  limited: 'Limited availability',
+  newly: 'Newly available',
+  widely: 'Widely available',
+  unknown: 'No Baseline data'
+};
+const MAX_DETAIL_LOCATIONS = 10;
+// Search results per page; more load as the list scrolls
+const SEARCH_PAGE_SIZE = 10;
+// Shown when nothing is typed or filtered
+const DEFAULT_QUERY = 'baseline_status:newly';
+const SUGGEST_DELAY = 150;
+
+function detectedStatus(feature) {
+  return feature.baseline?.status || 'unknown';
+}
+
+const DETECTED_SORTS = {
+  name: (a, b) => (a.name || a.id).localeCompare(b.name || b.id),
+  status: (a, b) => STATUS_ORDER.indexOf(detectedStatus(a)) - STATUS_ORDER.indexOf(detectedStatus(b)) ||
+    (a.name || a.id).localeCompare(b.name || b.id),
+  locations: (a, b) => (b.locations?.length || 0) - (a.locations?.length || 0) ||
+    (a.name || a.id).localeCompare(b.name || b.id)
+};
+
+// Detected names, selectors and snippets come from the page, so never render them as markup
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Support table columns, each with its desktop and mobile browser
+const SUPPORT_COLUMNS = [
+  { label: 'Chrome', desktop: 'chrome', mobile: 'chrome_android' },
+  { label: 'Edge', desktop: 'edge', mobile: null },
+  { label: 'Firefox', desktop: 'firefox', mobile: 'firefox_android' },
+  { label: 'Safari', desktop: 'safari', mobile: 'safari_ios' }
+];
+
+// First supporting version of one browser, with partial-support notes in the tooltip
+function supportCell(implementations, browser) {
+  if (!browser) return '<td class="support-none">—</td>';
+
+  const implementation = implementations?.[browser];
+  const name = BROWSERS[browser];
+  if (!implementation) {
+    return `<td class="support-no" title="Not supported in ${name}">✖</td>`;
+  }
+
+  const notes = [];
+  const subFeatures = implementation.sub_features;
+  if (subFeatures) {
+    notes.push(`${subFeatures.supported} of ${subFeatures.total} sub-features supported`);
+  }
+  if (implementation.status === 'partial') {
+    return `<td class="support-partial" title="${name}: ${notes.join('; ')}">Partial</td>`;
+  }
+
+  // Live webstatus.dev records can say 'available' without a version
+  const version = typeof implementation.version === 'string' ? implementation.version : '';
+  if (version.startsWith('≤')) {
+    notes.unshift(`Supported in ${version.slice(1)} or earlier; the exact version is unknown`);
+  }
+  const title = version ? `${name} ${version}` : `Supported in ${name}`;
+  return `<td class="support-yes${subFeatures ? ' support-partial' : ''}" title="${escapeHTML(title)}${notes.length > 0 ? `: ${escapeHTML(notes.join('; '))}` : ''}">${escapeHTML(version || '✔')}${subFeatures ? '*' : ''}</td>`;
+}
+
+function createSupportTable(implementations) {
+  if (!implementations || Object.keys(implementations).length === 0) return '';
+  const incomplete = Object.values(implementations).some(implementation => implementation.sub_features);
+
+  return `
+    <table class="support-table">
+      <tr><th></th>${SUPPORT_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}</tr>
+      <tr><th>Desktop</th>${SUPPORT_COLUMNS.map(column => supportCell(implementations, column.desktop)).join('')}</tr>
+      <tr><th>Mobile</th>${SUPPORT_COLUMNS.map(column => supportCell(implementations, column.mobile)).join('')}</tr>
+    </table>
+    ${incomplete ? '<div class="support-notes">* Some sub-features are missing; hover a version for details</div>' : ''}
+  `;
+}
+
+// What to do about a feature: a feature test, polyfills and the fallback pattern. Detected
+// features also pass the `guards` found on the page, so the card says whether it is tested for.
+function createRemediation(webFeatureId, guards) {
+  const remediation = getRemediation(webFeatureId);
+  const guard = guards?.[0];
+  if (!remediation && !guards) return '';
+
+  const guardNote = guard ? `
+      <div class="remediation-guarded">
+        ✔ Tested for on this page: ${escapeHTML(guard.source)}${guard.line ? `:${guard.line}` : ''}${guard.frame ? ` in frame ${escapeHTML(guard.frame)}` : ''}
+        <code>${escapeHTML(guard.snippet || guard.selector)}</code>${guards.length > 1 ? ` and ${guards.length - 1} more` : ''}
+      </div>
+    ` : guards ? '<div class="remediation-unguarded">No feature test found on this page</div>' : '';
+  const polyfills = (remediation?.polyfills || [])
+    .map(polyfill => `<a href="${escapeHTML(polyfill.url)}" target="_blank" rel="noopener">${escapeHTML(polyfill.name)}</a>`)
+    .join(', ');
+
+  return `
+    <div class="remediation">
+      ${guardNote}
+      ${remediation?.detect ? `<div>Feature test: <code>${escapeHTML(remediation.detect)}</code></div>` : ''}
+      ${polyfills ? `<div>Polyfills: ${polyfills}</div>` : ''}
+      ${remediation?.fallback ? `<div>${escapeHTML(remediation.fallback)}</div>` : ''}
+    </div>
+  `;
+}
+
+// MDN, caniuse and webstatus.dev pages for a dataset record, falling back to their search pages
+function createReferenceLinks(record) {
+  const query = encodeURIComponent(record.name || record.feature_id);
+  const links = [
+    ['MDN', record.mdn_url || `https://developer.mozilla.org/search?q=${query}`],
+    ['caniuse', record.caniuse?.[0] ? `https://caniuse.com/${record.caniuse[0]}` : `https://caniuse.com/?search=${query}`],
+    ['webstatus.dev', `https://webstatus.dev/features/${encodeURIComponent(record.feature_id)}`]
+  ];
+  return `
+    <div class="reference-links">
+      ${links.map(([label, url]) => `<a href="${escapeHTML(url)}" target="_blank" rel="noopener">${label}</a>`).join('')}
+    </div>
+  `;
+}
+
 class BaselinePopup {
   constructor() {
     this.searchInput = document.getElementById('searchInput');
     this.searchButton = document.getElementById('searchButton');
+    this.suggestionList = document.getElementById('suggestions');
+    this.filterToggle = document.getElementById('filterToggle');
+    this.clearFiltersButton = document.getElementById('clearFilters');
+    this.filterPanel = document.getElementById('filterPanel');
+    this.content = document.querySelector('.content');
     this.results = document.getElementById('results');
     this.loadingState = document.getElementById('loadingState');
     this.noResults = document.getElementById('noResults');
     this.detectedFeatures = document.getElementById('detectedFeatures');
     this.detectedCount = document.getElementById('detectedCount');
+    this.traceModeToggle = document.getElementById('traceModeToggle');
+    this.historyToggle = document.getElementById('historyToggle');
+    this.historySummary = document.getElementById('historySummary');
+    this.targetSummary = document.getElementById('targetSummary');
+    this.editTarget = document.getElementById('editTarget');
+    this.settings = null;
+    this.tabId = null;
+    this.pageURL = null;
+    this.detected = [];
+    this.expandedFeatures = new Set();
+    // Feature whose details show the suppression form
+    this.suppressingFeature = null;
+    this.detectedList = document.getElementById('detectedList');
+    this.detectedStats = document.getElementById('detectedStats');
+    this.detectedFilter = document.getElementById('detectedFilter');
+    this.detectedGroup = document.getElementById('detectedGroup');
+    this.detectedStatus = document.getElementById('detectedStatus');
+    this.detectedSort = document.getElementById('detectedSort');
+    this.reanalyzeButton = document.getElementById('reanalyzeButton');
+    this.scanSiteButton = document.getElementById('scanSiteButton');
+    this.detectedExport = document.getElementById('detectedExport');
+    this.exportStatus = document.getElementById('exportStatus');
+    this.filters = emptyFilters();
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestTimer = null;
+    // The current search; `id` tells responses of superseded searches apart
+    this.searchState = { id: 0, query: null, results: [], total: 0, nextPageToken: null, source: null, loading: false };
+    this.loadMoreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+    }, { root: this.content, rootMargin: '100px' });
     
     this.init();
   }
 
   init() {
     // Set up event listeners
-    this.searchButton.addEventListener('click', () => this.handleSearch());
-    this.searchInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        this.handleSearch();
-      }
+    this.setupSearch();
+
+    this.settingsReady = this.setupSettings();
+    this.editTarget.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
     });
 
     // Check for pending search from context menu
     this.checkPendingSearch();
 
     // Load detected features from current page
+    this.setupDetectedPanel();
     this.loadDetectedFeatures();
     
     // Load some default features
-    this.searchFeatures('baseline_status:newly', false);
+    this.searchFeatures(DEFAULT_QUERY);
+  }
+
+  // === Search ===
+  setupSearch() {
+    this.searchButton.addEventListener('click', () => this.handleSearch());
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.suggestTimer);
+      this.suggestTimer = setTimeout(() => this.updateSuggestions(), SUGGEST_DELAY);
+    });
+    this.searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+    this.searchInput.addEventListener('blur', () => this.closeSuggestions());
+
+    // mousedown rather than click, so the input doesn't blur and close the list first
+    this.suggestionList.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (!option) return;
+      e.preventDefault();
+      this.pickSuggestion(Number(option.dataset.index));
+    });
+
+    this.renderFilters();
+    this.filterToggle.addEventListener('click', () => {
+      this.filterPanel.hidden = !this.filterPanel.hidden;
+      this.filterToggle.setAttribute('aria-expanded', String(!this.filterPanel.hidden));
+    });
+    this.filterPanel.addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip');
+      if (chip) this.toggleFilter(chip);
+    });
+    this.clearFiltersButton.addEventListener('click', () => {
+      this.filters = emptyFilters();
+      this.renderFilters();
+      this.handleSearch();
+    });
+
+    this.results.addEventListener('click', (e) => {
+      if (e.target.closest('#loadMore')) this.loadMore({ focus: true });
+    });
+    this.results.addEventListener('keydown', (e) => this.handleResultsKeydown(e));
+
+    // "/" jumps to the search box from anywhere but another field
+    document.addEventListener('keydown', (e) => {
+      if (e.key === '/' && !e.target.closest('input, select, textarea')) {
+        e.preventDefault();
+        this.searchInput.focus();
+      }
+    });
+  }
+
+  updateSuggestions() {
+    this.suggestions = suggestFeatures(baselineDataset.features, this.searchInput.value);
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  closeSuggestions() {
+    clearTimeout(this.suggestTimer);
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  renderSuggestions() {
+    const open = this.suggestions.length > 0;
+    this.suggestionList.hidden = !open;
+    this.searchInput.setAttribute('aria-expanded', String(open));
+    this.suggestionList.innerHTML = this.suggestions.map((feature, index) => `
+      <li class="suggestion${index === this.activeSuggestion ? ' active' : ''}" role="option" id="suggestion-${index}"
+        data-index="${index}" aria-selected="${index === this.activeSuggestion}">
+        <span class="suggestion-name">${escapeHTML(feature.name)}</span>
+        <span class="suggestion-id">${escapeHTML(feature.feature_id)}</span>
+        <span class="status-dot status-${escapeHTML(feature.baseline?.status || 'limited')}" title="${escapeHTML(feature.baseline?.status || 'limited')}"></span>
+      </li>
+    `).join('');
+
+    if (this.activeSuggestion >= 0) {
+      this.searchInput.setAttribute('aria-activedescendant', `suggestion-${this.activeSuggestion}`);
+      this.suggestionList.children[this.activeSuggestion].scrollIntoView({ block: 'nearest' });
+    } else {
+      this.searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // A picked suggestion looks up that one feature, whatever the filters say
+  pickSuggestion(index) {
+    const feature = this.suggestions[index];
+    if (!feature) return;
+    this.searchInput.value = feature.name;
+    this.closeSuggestions();
+    this.searchFeatures(`id:${feature.feature_id}`);
+  }
+
+  handleSearchKeydown(e) {
+    const open = this.suggestions.length > 0;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (open) {
+        this.activeSuggestion = (this.activeSuggestion + 1) % this.suggestions.length;
+        this.renderSuggestions();
+      } else {
+        this.results.querySelector('.feature-card')?.focus();
+      }
+    } else if (e.key === 'ArrowUp' && open) {
+      e.preventDefault();
+      this.activeSuggestion = this.activeSuggestion <= 0 ? this.suggestions.length - 1 : this.activeSuggestion - 1;
+      this.renderSuggestions();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (open && this.activeSuggestion >= 0) {
+        this.pickSuggestion(this.activeSuggestion);
+      } else {
+        this.handleSearch();
+      }
+    } else if (e.key === 'Escape' && open) {
+      // Keep the popup open; only the list closes
+      e.preventDefault();
+      this.closeSuggestions();
+    }
+  }
+
+  // Arrow keys move between result cards and the load-more button; up from the first returns to the input
+  handleResultsKeydown(e) {
+    const items = Array.from(this.results.querySelectorAll('.feature-card, #loadMore'));
+    const index = items.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    const targets = {
+      ArrowDown: items[index + 1],
+      ArrowUp: index === 0 ? this.searchInput : items[index - 1],
+      Home: items[0],
+      End: items[items.length - 1]
+    };
+    if (e.key in targets) {
+      e.preventDefault();
+      targets[e.key]?.focus();
+    }
+  }
+
+  renderFilters() {
+    const categories = [
+      ['status', 'Baseline', Object.entries(STATUS_FILTERS)],
+      ['year', 'Year', yearFilters()],
+      ['browser', 'Available in', Object.entries(BROWSERS)],
+      ['group', 'Group', Object.entries(GROUP_FILTERS)]
+    ];
+    this.filterPanel.innerHTML = categories.map(([category, label, options]) => `
+      <div class="filter-row" role="group" aria-label="${label}">
+        <span class="filter-label">${label}</span>
+        ${options.map(([value, text]) => `
+          <button class="chip" data-category="${category}" data-value="${escapeHTML(value)}"
+            aria-pressed="${this.filters[category].includes(value)}">${escapeHTML(text)}</button>
+        `).join('')}
+      </div>
+    `).join('');
+    this.updateFilterSummary();
+  }
+
+  updateFilterSummary() {
+    const count = countFilters(this.filters);
+    this.filterToggle.textContent = count > 0 ? `Filters (${count})` : 'Filters';
+    this.clearFiltersButton.hidden = count === 0;
+  }
+
+  // Toggled in place, so keyboard focus stays on the chip
+  toggleFilter(chip) {
+    const { category, value } = chip.dataset;
+    const values = this.filters[category];
+    this.filters[category] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    chip.setAttribute('aria-pressed', String(this.filters[category].includes(value)));
+    this.updateFilterSummary();
+    this.handleSearch();
   }
 
   async checkPendingSearch() {
@@ -46,19 +393,51 @@ class BaselinePopup {
     }
   }
 
+  async setupSettings() {
+    try {
+      this.settings = await loadSettings();
+      this.targetSummary.textContent = describeTarget(this.settings.target);
+      this.traceModeToggle.checked = this.settings.traceMode;
+      this.historyToggle.checked = this.settings.history;
+      this.historyToggle.addEventListener('change', async () => {
+        try {
+          this.settings = await saveSettings({ history: this.historyToggle.checked });
+          this.loadHistory();
+        } catch (error) {
+          console.log('Error saving settings:', error);
+        }
+      });
+      this.traceModeToggle.addEventListener('change', () => {
+        saveSettings({ traceMode: this.traceModeToggle.checked }).catch(error => {
+          console.log('Error saving settings:', error);
+        });
+      });
+    } catch (error) {
+      console.log('Error loading settings:', error);
+    }
+  }
+
   async loadDetectedFeatures() {
     try {
       const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+      await this.settingsReady;
+      this.tabId = tab.id;
       
-      chrome.tabs.sendMessage(tab.id, {type: 'GET_DETECTED_FEATURES'}, (response) => {
+      chrome.tabs.sendMessage(tab.id, {type: 'GET_DETECTED_FEATURES'}, { frameId: 0 }, async (response) => {
         if (chrome.runtime.lastError) {
           console.log('Content script not ready:', chrome.runtime.lastError);
           this.detectedFeatures.style.display = 'none';
           return;
         }
         
-        if (response && response.features && response.features.length > 0) {
-          this.displayDetectedFeatures(response.features);
+        if (response && response.features) {
+          // Prefer the background's record, which merges the results of every frame
+          const key = `features_${tab.id}`;
+          const { [key]: record } = await chrome.storage.session.get(key);
+          this.pageURL = response.url;
+          await this.loadBaselineRecords(record?.features || response.features);
+          this.displayDetectedFeatures(record?.features || response.features, record?.stats || response.stats, record?.frames);
+          this.loadHistory();
         } else {
           this.detectedFeatures.style.display = 'none';
         }
@@ -69,50 +448,529 @@ class BaselinePopup {
     }
   }
 
-  displayDetectedFeatures(features) {
+  setupDetectedPanel() {
+    [this.detectedFilter, this.detectedGroup, this.detectedStatus, this.detectedSort].forEach(control => {
+      control.addEventListener('input', () => this.renderDetectedList());
+    });
+
+    this.detectedList.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      if (button.dataset.toggle) {
+        const id = button.dataset.toggle;
+        if (this.expandedFeatures.has(id)) {
+          this.expandedFeatures.delete(id);
+        } else {
+          this.expandedFeatures.add(id);
+        }
+        this.renderDetectedList();
+      } else if (button.dataset.highlight) {
+        this.highlightFeature(button.dataset.highlight);
+      } else if (button.dataset.suppress) {
+        this.suppressingFeature = button.dataset.suppress;
+        this.renderDetectedList();
+      } else if (button.dataset.suppressCancel) {
+        this.suppressingFeature = null;
+        this.renderDetectedList();
+      } else if (button.dataset.suppressSave) {
+        this.suppressFeature(button.dataset.suppressSave, button.closest('.suppress-form'));
+      } else if (button.dataset.unsuppress) {
+        this.unsuppress(button.dataset.unsuppress);
+      }
+    });
+
+    this.historySummary.addEventListener('click', (e) => {
+      if (e.target.closest('#clearHistory')) {
+        e.preventDefault();
+        this.clearHistory();
+      }
+    });
+
+    this.reanalyzeButton.addEventListener('click', () => this.reanalyzePage());
+    this.scanSiteButton.addEventListener('click', () => {
+      const query = this.pageURL ? `?url=${encodeURIComponent(this.pageURL)}` : '';
+      chrome.tabs.create({ url: chrome.runtime.getURL(`crawl.html${query}`) });
+    });
+
+    this.detectedExport.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (button?.dataset.export) this.exportReport(button.dataset.export);
+      if (button?.dataset.copy) this.copyReport(button.dataset.copy);
+    });
+
+    // Cross-origin sheets and external scripts finish after the first pass; pick them up live.
+    // Re-evaluations rewrite the record even when nothing changed, so compare first.
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = areaName === 'session' && this.tabId ? changes[`features_${this.tabId}`] : null;
+      if (change && JSON.stringify(change.newValue) !== JSON.stringify(change.oldValue)) {
+        this.loadDetectedFeatures();
+      }
+    });
+  }
+
+  reanalyzePage() {
+    if (!this.tabId) return;
+    this.reanalyzeButton.disabled = true;
+    chrome.tabs.sendMessage(this.tabId, { type: 'REANALYZE_PAGE' }, () => {
+      this.reanalyzeButton.disabled = false;
+      if (chrome.runtime.lastError) {
+        console.log('Could not re-analyze page:', chrome.runtime.lastError);
+        return;
+      }
+      this.loadDetectedFeatures();
+    });
+  }
+
+  // === Suppressions ===
+  async suppressFeature(featureId, form) {
+    const feature = this.detected.find(f => f.id === featureId);
+    if (!feature || !form) return;
+
+    const url = new URL(this.pageURL);
+    const scopes = { site: url.origin, page: `${url.origin}${url.pathname}`, all: '' };
+    const suppression = createSuppression({
+      scope: scopes[form.querySelector('[name="scope"]').value],
+      feature: feature.webFeatureId || feature.id,
+      note: form.querySelector('[name="note"]').value,
+      expires: form.querySelector('[name="expires"]').value
+    });
+    await this.saveSuppressions([...this.settings.suppressions, suppression]);
+  }
+
+  async unsuppress(suppressionId) {
+    await this.saveSuppressions(this.settings.suppressions.filter(s => s.id !== suppressionId));
+  }
+
+  // The background re-evaluates the badge when the settings change
+  async saveSuppressions(suppressions) {
+    try {
+      this.settings = await saveSettings({ suppressions });
+      this.suppressingFeature = null;
+      this.displayDetectedFeatures(this.detected, this.lastStats, this.lastFrames);
+    } catch (error) {
+      console.log('Error saving suppressions:', error);
+    }
+  }
+
+  // === Scan History ===
+  loadHistory() {
+    if (!this.pageURL) return;
+    chrome.runtime.sendMessage({ type: 'GET_HISTORY', url: this.pageURL }, (summary) => {
+      if (chrome.runtime.lastError || !summary) {
+        console.log('Could not load history:', chrome.runtime.lastError);
+        return;
+      }
+      this.displayHistory(summary);
+    });
+  }
+
+  clearHistory() {
+    chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY', url: this.pageURL }, () => this.loadHistory());
+  }
+
+  displayHistory(summary) {
+    const scans = summary.scans || [];
+    if (!summary.enabled && scans.length === 0) {
+      this.historySummary.style.display = 'none';
+      return;
+    }
+    this.historySummary.style.display = 'block';
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    const listFeatures = (features, sign, className) => features.map(f =>
+      `<li class="${className}">${sign} ${escapeHTML(f.name || f.id)} <span style="color: #6c757d;">(${f.status})</span></li>`
+    ).join('');
+
+    let body;
+    if (scans.length === 0) {
+      body = 'No scans stored for this page yet.';
+    } else if (!summary.diff) {
+      body = `First scan of this page, ${formatTime(scans[0].timestamp)}.`;
+    } else {
+      const { added, removed, changed } = summary.diff;
+      body = added.length + removed.length + changed.length === 0
+        ? `No changes since the scan on ${formatTime(summary.previousTimestamp)}.`
+        : `
+          Since ${formatTime(summary.previousTimestamp)}:
+          <ul>
+            ${listFeatures(added, '+', 'history-added')}
+            ${listFeatures(removed, '−', 'history-removed')}
+            ${changed.map(f => `<li>${escapeHTML(f.name || f.id)}: ${f.previousStatus} → ${f.status}</li>`).join('')}
+          </ul>
+        `;
+    }
+
+    this.historySummary.innerHTML = `
+      <div style="display: flex; justify-content: space-between;">
+        <strong>History</strong>
+        <span>${scans.length} scan(s) ${scans.length > 0 ? '· <a href="#" id="clearHistory" style="color: #667eea;">Clear</a>' : ''}</span>
+      </div>
+      <div style="margin-top: 4px;">${body}</div>
+      ${!summary.enabled ? '<div style="margin-top: 4px; color: #6c757d;">History is off; new scans are not recorded.</div>' : ''}
+    `;
+  }
+
+  // Reports are built from the record the background stored, which carries Baseline data and verdicts
+  async loadReport(format) {
+    const key = `features_${this.tabId}`;
+    const { [key]: record } = await chrome.storage.session.get(key);
+    if (!record) {
+      throw new Error('No analysis stored for this tab yet');
+    }
+    return buildReport(record, format, { toolVersion: chrome.runtime.getManifest().version });
+  }
+
+  async exportReport(format) {
+    try {
+      const report = await this.loadReport(format);
+      const url = URL.createObjectURL(new Blob([report.content], { type: report.mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = report.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.exportStatus.textContent = `Saved ${report.filename}`;
+    } catch (error) {
+      console.log('Export error:', error);
+      this.exportStatus.textContent = error.message;
+    }
+  }
+
+  async copyReport(format) {
+    try {
+      const report = await this.loadReport(format);
+      await navigator.clipboard.writeText(report.content);
+      this.exportStatus.textContent = 'Copied to clipboard';
+    } catch (error) {
+      console.log('Copy error:', error);
+      this.exportStatus.textContent = error.message;
+    }
+  }
+
+  // The same webstatus.dev data the badge was computed from, via the background's cache
+  async loadBaselineRecords(features) {
+    try {
+      const { records, error } = await chrome.runtime.sendMessage({
+        type: 'GET_BASELINE',
+        ids: features.map(f => toWebFeatureId(f.id))
+      });
+      if (error) throw new Error(error);
+      this.baselineRecords = new Map(Object.entries(records));
+    } catch (error) {
+      console.log('Using bundled Baseline data:', error);
+      this.baselineRecords = null;
+    }
+  }
+
+  displayDetectedFeatures(features, stats, frames = []) {
     this.detectedFeatures.style.display = 'block';
     
-    const uniqueFeatures = [...new Map(features.map(f => [f.id, f])).values()];
-    this.detectedCount.innerHTML = `
-      <strong>${uniqueFeatures.length}</strong> unique features found:
-      <div style="margin-top: 4px;">
-        ${uniqueFeatures.slice(0, 3).map(f => 
-          `<span style="background: #fff; padding: 2px 6px; border-radius: 3px; margin: 0 2px; font-size: 11px;">${f.name || f.id}</span>`
-        ).join('')}
-        ${uniqueFeatures.length > 3 ? `<span style="color: #0056b3;">+${uniqueFeatures.length - 3} more</span>` : ''}
+    this.lastStats = stats;
+    this.lastFrames = frames;
+    this.detected = applySuppressions(evaluateFeatures(
+      resolveBaseline([...new Map(features.map(f => [f.id, f])).values()], this.baselineRecords),
+      this.settings?.target
+    ), this.settings?.suppressions, this.pageURL);
+    const suppressed = this.detected.filter(f => f.suppression);
+    const violating = this.detected.filter(f => f.compliance.compliant === false && !f.suppression);
+    const sheets = stats?.styleSheets;
+    const scripts = stats?.scripts;
+    const elements = stats?.elements;
+    const traced = this.detected.filter(f => f.calls);
+    const callCount = traced.reduce((total, f) => total + f.calls.count, 0);
+
+    this.detectedCount.innerHTML = this.detected.length === 0
+      ? 'No features detected yet.'
+      : `<strong>${this.detected.length}</strong> unique features found${violating.length > 0 ? `, <strong style="color: #721c24;">${violating.length}</strong> violate the target` : ', all meet the target'}${suppressed.length > 0 ? ` (${suppressed.length} suppressed)` : ''}`;
+
+    this.detectedStats.innerHTML = `
+      ${sheets ? `
+        <div>
+          Stylesheets: ${sheets.analyzed} analyzed${sheets.fetched ? ` (${sheets.fetched} fetched cross-origin)` : ''}, ${sheets.skipped} skipped${sheets.pending ? `, ${sheets.pending} loading` : ''}
+        </div>
+      ` : ''}
+      ${scripts ? `
+        <div style="margin-top: 2px;">
+          Scripts: ${scripts.inline} inline, ${scripts.external} external, ${scripts.skipped} skipped${scripts.unparsed ? `, ${scripts.unparsed} unparsable` : ''}${scripts.pending ? `, ${scripts.pending} loading` : ''}
+        </div>
+      ` : ''}
+      ${elements ? `
+        <div style="margin-top: 2px;">
+          Computed styles: ${elements.scanned} elements checked${elements.pending ? `, ${elements.pending} pending` : ''}
+        </div>
+      ` : ''}
+      ${frames.length > 1 || sheets?.shadowRoots ? `
+        <div style="margin-top: 2px;">
+          Scanned ${frames.length > 1 ? `${frames.length} frames` : '1 frame'}${sheets?.shadowRoots ? ` and ${sheets.shadowRoots} shadow root(s)` : ''}
+        </div>
+      ` : ''}
+      ${traced.length > 0 ? `
+        <div style="margin-top: 2px;">
+          Runtime trace: ${traced.length} features called (${callCount} calls)
+        </div>
+      ` : ''}
+    `;
+
+    this.renderDetectedList();
+  }
+
+  // Filter, sort and group the detected features according to the panel controls
+  renderDetectedList() {
+    const draft = this.readSuppressDraft();
+    this.renderDetectedItems();
+    this.restoreSuppressDraft(draft);
+  }
+
+  // What has been typed into an open suppress form, so live updates don't wipe it
+  readSuppressDraft() {
+    const form = this.detectedList.querySelector('.suppress-form');
+    if (!form) return null;
+    const fields = Array.from(form.querySelectorAll('[name]'));
+    return {
+      feature: form.querySelector('[data-suppress-save]').dataset.suppressSave,
+      values: Object.fromEntries(fields.map(field => [field.name, field.value])),
+      focused: fields.find(field => field === document.activeElement)?.name
+    };
+  }
+
+  restoreSuppressDraft(draft) {
+    const form = this.detectedList.querySelector('.suppress-form');
+    if (!draft || !form || form.querySelector('[data-suppress-save]').dataset.suppressSave !== draft.feature) return;
+    Object.entries(draft.values).forEach(([name, value]) => {
+      form.querySelector(`[name="${name}"]`).value = value;
+    });
+    if (draft.focused) form.querySelector(`[name="${draft.focused}"]`).focus();
+  }
+
+  renderDetectedItems() {
+    const query = this.detectedFilter.value.trim().toLowerCase();
+    const statusFilter = this.detectedStatus.value;
+    const groupBy = this.detectedGroup.value;
+
+    const features = this.detected
+      .filter(f => !query || [f.name, f.id, f.webFeatureId, f.evidence].some(text => text?.toLowerCase().includes(query)))
+      .filter(f => {
+        if (statusFilter === 'all') return true;
+        if (statusFilter === 'violating') return f.compliance.compliant === false;
+        return detectedStatus(f) === statusFilter;
+      })
+      .sort(DETECTED_SORTS[this.detectedSort.value]);
+
+    if (features.length === 0) {
+      this.detectedList.innerHTML = this.detected.length > 0
+        ? '<div style="font-size: 11px; color: #6c757d; padding: 8px 0;">No detected features match these filters</div>'
+        : '';
+      return;
+    }
+
+    // Suppressed features are listed apart, after everything that still counts
+    const order = [...(groupBy === 'status' ? STATUS_ORDER : TYPE_ORDER), 'suppressed'];
+    const groups = new Map(order.map(key => [key, []]));
+    features.forEach(f => {
+      const key = f.suppression ? 'suppressed' : groupBy === 'status' ? detectedStatus(f) : f.type;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(f);
+    });
+
+    this.detectedList.innerHTML = Array.from(groups)
+      .filter(([, members]) => members.length > 0)
+      .map(([key, members]) => `
+        <div class="detected-group">
+          <div class="detected-group-title">${escapeHTML(GROUP_LABELS[key] || key)} (${members.length})</div>
+          ${members.map(f => this.createDetectedItem(f)).join('')}
+        </div>
+      `).join('');
+  }
+
+  createDetectedItem(feature) {
+    const status = detectedStatus(feature);
+    const expanded = this.expandedFeatures.has(feature.id);
+    const { compliant, guarded, reasons } = feature.compliance;
+    const mark = compliant === false ? '<span title="Violates target" style="color: #721c24;">✖</span>'
+      : guarded ? '<span title="Outside the target, but every use is behind a feature test" style="color: #856404;">✔</span>'
+      : compliant ? '<span title="Meets target" style="color: #155724;">✔</span>' : '';
+
+    return `
+      <div class="detected-item">
+        <div class="detected-item-header">
+          <button class="detected-toggle" data-toggle="${escapeHTML(feature.id)}" title="${expanded ? 'Hide' : 'Show'} evidence">${expanded ? '▾' : '▸'}</button>
+          <span class="detected-item-name" title="${escapeHTML(feature.id)}">${escapeHTML(feature.name || feature.id)}</span>
+          ${mark}
+          <span class="status-badge small status-${status}">${status}</span>
+          <button class="panel-button" data-highlight="${escapeHTML(feature.id)}" title="Highlight on page">Highlight</button>
+        </div>
+        ${feature.suppression ? this.createSuppressionNote(feature.suppression) : ''}
+        ${expanded ? this.createDetectedDetails(feature, reasons) : ''}
       </div>
     `;
   }
 
-  handleSearch() {
-    const query = this.searchInput.value.trim();
-    if (query) {
-      this.searchFeatures(`name:${query} OR id:${query}`, true);
+  createSuppressionNote(suppression) {
+    return `
+      <div class="suppression-note">
+        ${suppression.note ? escapeHTML(suppression.note) : 'No note'}
+        · ${suppression.scope ? escapeHTML(suppression.scope) : 'all sites'}${suppression.expires ? ` · until ${escapeHTML(suppression.expires)}` : ''}
+        <button class="panel-button" data-unsuppress="${escapeHTML(suppression.id)}">Unsuppress</button>
+      </div>
+    `;
+  }
+
+  createSuppressForm(feature) {
+    if (this.suppressingFeature !== feature.id) {
+      return `<button class="panel-button" data-suppress="${escapeHTML(feature.id)}" title="Accept this feature and leave it out of the badge">Suppress…</button>`;
     }
+    return `
+      <div class="suppress-form">
+        <input type="text" name="note" placeholder="Why is this acceptable?">
+        <select name="scope">
+          <option value="site">On this site</option>
+          <option value="page">On this page</option>
+          <option value="all">On all sites</option>
+        </select>
+        <input type="date" name="expires" title="Last day the suppression applies (optional)">
+        <button class="panel-button" data-suppress-save="${escapeHTML(feature.id)}">Save</button>
+        <button class="panel-button" data-suppress-cancel="true">Cancel</button>
+      </div>
+    `;
+  }
+
+  createDetectedDetails(feature, reasons) {
+    const locations = feature.locations || [];
+    const origins = feature.calls?.origins || [];
+    const record = feature.webFeatureId ? baselineDataset.get(feature.webFeatureId) : null;
+
+    return `
+      <div class="detected-details">
+        <div>${escapeHTML(feature.evidence || '')}</div>
+        ${feature.elementCount ? `<div style="margin-top: 4px;">Active on ${feature.elementCount} element(s)</div>` : ''}
+        ${feature.usage ? `<div style="margin-top: 4px;">${this.describeUsage(feature.usage)}</div>` : ''}
+        ${feature.compliance.guarded
+          ? `<div class="usage-guarded" style="margin-top: 4px;">Progressive enhancement: unguarded it would fail the target (${reasons.map(escapeHTML).join('; ')})</div>`
+          : reasons.length > 0 ? `<div style="color: #721c24; margin-top: 4px;">${reasons.map(escapeHTML).join('; ')}</div>` : ''}
+        ${locations.length > 0 ? `
+          <ul>
+            ${locations.slice(0, MAX_DETAIL_LOCATIONS).map(location => `
+              <li>
+                ${escapeHTML(location.source)}${location.line ? `:${location.line}` : ''}
+                ${location.frame ? `<span style="color: #6c757d;">in frame ${escapeHTML(location.frame)}</span>` : ''}
+                ${location.selector ? `<code>${escapeHTML(location.selector)}</code>` : ''}
+                ${location.snippet ? `<code>${escapeHTML(location.snippet)}</code>` : ''}
+                ${location.guarded ? '<span class="usage-guarded">guarded</span>' : ''}
+              </li>
+            `).join('')}
+            ${locations.length > MAX_DETAIL_LOCATIONS ? `<li>and ${locations.length - MAX_DETAIL_LOCATIONS} more</li>` : ''}
+          </ul>
+        ` : ''}
+        ${feature.calls ? `
+          <div style="margin-top: 4px;">Called ${Number(feature.calls.count)} time(s) at runtime${origins.length > 0 ? ' from:' : ''}</div>
+          ${origins.length > 0 ? `
+            <ul>
+              ${origins.map(origin => `<li><code>${escapeHTML(origin.url)}:${Number(origin.line)}</code> (${Number(origin.count)})</li>`).join('')}
+            </ul>
+          ` : ''}
+        ` : ''}
+        ${detectedStatus(feature) !== 'widely' || feature.compliance.compliant === false
+          ? createRemediation(feature.webFeatureId, feature.guards || []) : ''}
+        ${createSupportTable(feature.browser_implementations)}
+        ${record ? createReferenceLinks(record) : ''}
+        ${!feature.suppression && this.pageURL ? `<div style="margin-top: 6px;">${this.createSuppressForm(feature)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  describeUsage({ guarded, unguarded }) {
+    if (unguarded === 0) return `All ${guarded} use(s) are behind a feature test`;
+    if (guarded === 0) return `${unguarded} use(s), none behind a feature test`;
+    return `${guarded} of ${guarded + unguarded} use(s) behind a feature test; the other ${unguarded} run unconditionally`;
   }
 
-  async searchFeatures(query, isUserSearch = false) {
+  // Open the in-page inspector for a feature, in every frame it was found in, and get out of its way
+  async highlightFeature(featureId) {
+    if (!this.tabId) return;
+    const feature = this.detected.find(f => f.id === featureId);
+    const frameIds = feature?.frames?.length > 0 ? feature.frames.map(frame => frame.frameId) : [0];
+
+    const results = await Promise.allSettled(frameIds.map(frameId =>
+      chrome.tabs.sendMessage(this.tabId, { type: 'HIGHLIGHT_FEATURE', featureId }, { frameId })
+    ));
+    if (results.every(result => result.status === 'rejected')) {
+      console.log('Could not highlight feature:', results[0].reason);
+      return;
+    }
+    window.close();
+  }
+
+  handleSearch() {
+    this.closeSuggestions();
+    this.searchFeatures(buildSearchQuery(this.searchInput.value, this.filters) || DEFAULT_QUERY);
+  }
+
+  // A new search, or with `pageToken` the next page of the current one
+  async fetchResults(query, pageToken) {
+    await this.settingsReady;
+    // The background answers from its webstatus.dev cache, or the bundled snapshot when offline
+    const result = await chrome.runtime.sendMessage({ type: 'SEARCH_FEATURES', query, pageSize: SEARCH_PAGE_SIZE, pageToken });
+    if (result.error) throw new Error(result.error);
+    return result;
+  }
+
+  async searchFeatures(query) {
+    const id = this.searchState.id + 1;
+    this.searchState = { id, query, results: [], total: 0, nextPageToken: null, source: null, loading: true };
     this.showLoading();
     
     try {
-      const encodedQuery = encodeURIComponent(query);
-      const response = await fetch(`https://api.webstatus.dev/v1/features?q=${encodedQuery}`);
-      
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      this.displayResults(result.data || [], isUserSearch);
+      const result = await this.fetchResults(query);
+      if (id !== this.searchState.id) return;
+      this.addResults(result);
+      this.displayResults();
       
     } catch (error) {
+      if (id !== this.searchState.id) return;
       console.error('Search error:', error);
-      this.showError('Failed to search features. Please try again.');
+      this.showError(`Invalid search: ${error.message}`);
     } finally {
-      this.hideLoading();
+      if (id === this.searchState.id) {
+        this.searchState.loading = false;
+        this.hideLoading();
+      }
+    }
+  }
+
+  // Next page through the API's page token, from the load-more button or by scrolling to it
+  async loadMore({ focus = false } = {}) {
+    const state = this.searchState;
+    if (state.loading || !state.nextPageToken) return;
+    state.loading = true;
+    this.updateResultsFooter();
+
+    try {
+      const result = await this.fetchResults(state.query, state.nextPageToken);
+      if (state !== this.searchState) return;
+      const firstNew = state.results.length;
+      this.addResults(result);
+      state.loading = false;
+      this.appendResults(firstNew, { focus });
+    } catch (error) {
+      console.error('Search error:', error);
+      state.loading = false;
+      if (state === this.searchState) this.updateResultsFooter(error.message);
     }
   }
 
+  addResults({ data, metadata = {}, source }) {
+    const state = this.searchState;
+    state.results.push(...data);
+    state.total = metadata.total ?? state.results.length;
+    state.nextPageToken = metadata.next_page_token || null;
+    state.source = source;
+  }
+
   showLoading() {
     this.loadingState.style.display = 'block';
     this.results.style.display = 'none';
@@ -123,29 +981,61 @@ class BaselinePopup {
     this.loadingState.style.display = 'none';
   }
 
-  displayResults(features, isUserSearch) {
-    if (features.length === 0) {
+  displayResults() {
+    const { results } = this.searchState;
+    if (results.length === 0) {
       this.showNoResults();
       return;
     }
 
     this.results.style.display = 'block';
     this.noResults.style.display = 'none';
-    
-    // Limit results to prevent popup from being too long
-    const limitedFeatures = features.slice(0, 8);
-    
-    this.results.innerHTML = limitedFeatures.map(feature => this.createFeatureCard(feature)).join('');
-    
-    // Add "showing X of Y" message if there are more results
-    if (features.length > 8) {
-      const moreMessage = document.createElement('div');
-      moreMessage.style.textAlign = 'center';
-      moreMessage.style.padding = '12px';
-      moreMessage.style.color = '#6c757d';
-      moreMessage.style.fontSize = '12px';
-      moreMessage.innerHTML = `Showing ${limitedFeatures.length} of ${features.length} results`;
-      this.results.appendChild(moreMessage);
+    this.results.innerHTML = results.map(feature => this.createFeatureCard(feature)).join('');
+    this.updateResultsFooter();
+  }
+
+  // Cards from `firstNew` on were just loaded; earlier ones stay put, along with the scroll position
+  appendResults(firstNew, { focus }) {
+    const cards = this.searchState.results.slice(firstNew).map(feature => this.createFeatureCard(feature)).join('');
+    this.results.querySelector('.results-footer')?.remove();
+    this.results.insertAdjacentHTML('beforeend', cards);
+    this.updateResultsFooter();
+    if (focus) {
+      this.results.querySelectorAll('.feature-card')[firstNew]?.focus();
+    }
+  }
+
+  // "Showing X of Y", where the results came from, and the load-more button while pages remain
+  updateResultsFooter(error = null) {
+    const { results, total, nextPageToken, loading, source } = this.searchState;
+    const notes = [];
+    if (total > results.length) {
+      notes.push(`Showing ${results.length} of ${total} results`);
+    }
+    if (source === 'cache') {
+      notes.push('webstatus.dev is unreachable; showing cached results');
+    } else if (source === 'snapshot' && this.settings?.liveData) {
+      notes.push('webstatus.dev is unreachable; showing bundled data');
+    }
+    if (error) {
+      notes.push(`Could not load more: ${error}`);
+    }
+
+    let footer = this.results.querySelector('.results-footer');
+    if (!footer) {
+      footer = document.createElement('div');
+      footer.className = 'results-footer';
+      this.results.appendChild(footer);
+    }
+    footer.innerHTML = `
+      <div>${escapeHTML(notes.join(' · '))}</div>
+      ${nextPageToken ? `<button class="panel-button" id="loadMore" ${loading ? 'disabled' : ''}>${loading ? 'Loading…' : 'Load more'}</button>` : ''}
+    `;
+
+    this.loadMoreObserver.disconnect();
+    const loadMoreButton = footer.querySelector('#loadMore');
+    if (loadMoreButton && !loading && !error) {
+      this.loadMoreObserver.observe(loadMoreButton);
     }
   }
 
@@ -174,6 +1064,8 @@ class BaselinePopup {
       });
     };
 
+    const compliance = this.checkCompliance(feature);
+
     const specLinks = feature.spec?.links?.slice(0, 2).map(link => {
       try {
         const hostname = new URL(link).hostname;
@@ -184,7 +1076,7 @@ class BaselinePopup {
     }).filter(Boolean).join(' ');
 
     return `
-      <div class="feature-card">
+      <div class="feature-card" tabindex="0" data-feature-id="${escapeHTML(feature.feature_id)}">
         <div class="feature-header">
           <div style="flex: 1;">
             <h3 class="feature-name">${feature.name || 'Unknown Feature'}</h3>
@@ -198,6 +1090,12 @@ class BaselinePopup {
         <div style="margin-top: 12px; font-size: 12px; color: #6c757d;">
           ${descriptions[status]}
         </div>
+
+        ${compliance ? `
+          <div class="compliance ${compliance.className}">
+            ${compliance.label}
+          </div>
+        ` : ''}
         
         ${feature.baseline?.low_date ? `
           <div style="margin-top: 8px; font-size: 11px; color: #6c757d;">
@@ -210,6 +1108,10 @@ class BaselinePopup {
             📅 Baseline Widely: ${formatDate(feature.baseline.high_date)}
           </div>
         ` : ''}
+
+        ${status !== 'widely' ? createRemediation(feature.feature_id) : ''}
+        ${createSupportTable(feature.browser_implementations)}
+        ${feature.feature_id ? createReferenceLinks(feature) : ''}
         
         ${specLinks ? `
           <div style="margin-top: 8px;">
@@ -220,6 +1122,20 @@ class BaselinePopup {
     `;
   }
 
+  // Compliance of a dataset record with the configured target, or null if it can't be judged
+  checkCompliance(feature) {
+    if (!this.settings) return null;
+    try {
+      const { compliant, reasons } = evaluateFeature(feature, this.settings.target);
+      if (compliant === null) return null;
+      return compliant
+        ? { className: 'compliance-pass', label: `✔ Meets target (${describeTarget(this.settings.target)})` }
+        : { className: 'compliance-fail', label: `✖ Violates target: ${reasons.join('; ')}` };
+    } catch (error) {
+      return { className: 'compliance-unknown', label: `Target not evaluated: ${error.message}` };
+    }
+  }
+
   showNoResults() {
     this.results.style.display = 'none';
     this.noResults.style.display = 'block';
@@ -229,7 +1145,7 @@ class BaselinePopup {
     this.results.innerHTML = `
       <div style="text-align: center; padding: 20px; color: #dc3545;">
         <div>⚠️ Error</div>
-        <div style="font-size: 12px; margin-top: 8px;">${message}</div>
+        <div style="font-size: 12px; margin-top: 8px;">${escapeHTML(message)}</div>
       </div>
     `;
     this.results.style.display = 'block';
@@ -0,0 +1,131 @@
+// build-dataset.js - Generates the bundled Baseline snapshot from the web-features package
+// Run with `npm run build:data` after bumping web-features.
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import { features } from 'web-features';
+import { FEATURE_RULES } from '../src/feature-rules.js';
+
+const require = createRequire(import.meta.url);
+const OUTPUT_PATH = fileURLToPath(new URL('../src/data/baseline-snapshot.json', import.meta.url));
+
+const BASELINE_STATUS = {
+  high: 'widely',
+  low: 'newly',
+  false: 'limited'
+};
+
+// MDN reference pages for the compat keys whose docs live at predictable paths, most
+// specific first: a feature's CSS property or element page beats the DOM interface behind it
+const MDN_PATHS = [
+  [/^css\.properties\.([\w-]+)$/, 'Web/CSS/$1'],
+  [/^css\.at-rules\.([\w-]+)$/, 'Web/CSS/@$1'],
+  [/^html\.elements\.([\w-]+)$/, 'Web/HTML/Element/$1'],
+  [/^javascript\.builtins\.(\w+)$/, 'Web/JavaScript/Reference/Global_Objects/$1'],
+  [/^javascript\.builtins\.(\w+)\.([a-zA-Z]+)$/, 'Web/JavaScript/Reference/Global_Objects/$1/$2'],
+  [/^api\.(\w+)$/, 'Web/API/$1'],
+  [/^api\.(\w+)\.([a-zA-Z]+)$/, 'Web/API/$1/$2']
+];
+
+function toMdnURL(id, compatKeys) {
+  // Keys named after the feature itself (css.properties.grid for `grid`) come first
+  const keys = [...compatKeys].sort((a, b) => Number(b.endsWith(`.${id}`)) - Number(a.endsWith(`.${id}`)));
+  for (const [pattern, path] of MDN_PATHS) {
+    const key = keys.find(compatKey => pattern.test(compatKey));
+    if (key) {
+      return `https://developer.mozilla.org/docs/${key.replace(pattern, path)}`;
+    }
+  }
+  return null;
+}
+
+// Per-browser support, with how many of the feature's compat keys (sub-features) each browser
+// has when that is not all of them. Browsers that only have some sub-features are 'partial'.
+function toImplementations(status) {
+  const support = status.support || {};
+  const keys = Object.values(status.by_compat_key || {});
+  const browsers = new Set([...Object.keys(support), ...keys.flatMap(key => Object.keys(key.support || {}))]);
+
+  return Object.fromEntries(Array.from(browsers).map(browser => {
+    const supported = keys.filter(key => key.support?.[browser]).length;
+    const implementation = support[browser]
+      ? { status: 'available', version: support[browser] }
+      : { status: 'partial' };
+    if (supported < keys.length) {
+      implementation.sub_features = { supported, total: keys.length };
+    }
+    return [browser, implementation];
+  }));
+}
+
+// Shape each entry like a webstatus.dev feature so the popup can render either source
+function toRecord(id, feature) {
+  const status = feature.status || {};
+  const mdnURL = toMdnURL(id, feature.compat_features || []);
+
+  return {
+    feature_id: id,
+    name: feature.name,
+    description: feature.description || '',
+    group: feature.group ? [].concat(feature.group) : [],
+    snapshot: feature.snapshot ? [].concat(feature.snapshot) : [],
+    caniuse: feature.caniuse ? [].concat(feature.caniuse) : [],
+    spec: {
+      links: feature.spec ? [].concat(feature.spec) : []
+    },
+    baseline: {
+      status: BASELINE_STATUS[status.baseline] || 'limited',
+      low_date: status.baseline_low_date || null,
+      high_date: status.baseline_high_date || null
+    },
+    browser_implementations: toImplementations(status),
+    ...(mdnURL ? { mdn_url: mdnURL } : {})
+  };
+}
+
+// Baseline status of the compat keys detection rules point at, for features web-features folds
+// into an older parent (see `compatKey` in feature-rules.js)
+function toCompatRecords() {
+  const records = {};
+  FEATURE_RULES.filter(rule => rule.compatKey).forEach(({ webFeatureId, compatKey }) => {
+    const status = features[webFeatureId]?.status?.by_compat_key?.[compatKey];
+    if (!status) {
+      console.warn(`No status for ${compatKey} in ${webFeatureId}`);
+      return;
+    }
+    records[compatKey] = {
+      feature_id: webFeatureId,
+      baseline: {
+        status: BASELINE_STATUS[status.baseline] || 'limited',
+        low_date: status.baseline_low_date || null,
+        high_date: status.baseline_high_date || null
+      },
+      browser_implementations: toImplementations({ support: status.support })
+    };
+  });
+  return records;
+}
+
+function buildSnapshot() {
+  // package.json is not in the package's exports map, so locate it next to data.json
+  const packageDir = dirname(require.resolve('web-features/data.json'));
+  const { version } = JSON.parse(readFileSync(join(packageDir, 'package.json'), 'utf-8'));
+
+  const records = Object.entries(features)
+    .filter(([, feature]) => !feature.kind || feature.kind === 'feature')
+    .map(([id, feature]) => toRecord(id, feature))
+    .sort((a, b) => a.feature_id.localeCompare(b.feature_id));
+
+  // One feature per line keeps regenerated snapshots reviewable in diffs
+  const lines = records.map(record => `    ${JSON.stringify(record)}`);
+  const compatLines = Object.entries(toCompatRecords()).map(([key, record]) => `    ${JSON.stringify(key)}: ${JSON.stringify(record)}`);
+  const json = `{\n  "source": "web-features@${version}",\n  "generated": "${new Date().toISOString().slice(0, 10)}",\n  "features": [\n${lines.join(',\n')}\n  ],\n  "compat_features": {\n${compatLines.join(',\n')}\n  }\n}\n`;
+
+  mkdirSync(dirname(OUTPUT_PATH), { recursive: true });
+  writeFileSync(OUTPUT_PATH, json);
+  console.log(`Wrote ${records.length} features from web-features@${version} to ${OUTPUT_PATH}`);
+}
+
+buildSnapshot();
@@ -0,0 +1,114 @@
+// mock-webstatus.js - Local stand-in for the webstatus.dev API, serving the bundled snapshot
+// Run with `npm run mock:webstatus -- [options]` and set the API base URL in the extension's
+// settings to http://localhost:8787. Supports GET /v1/features (q, page_size, page_token) and
+// GET /v1/features/:id with ETags, plus injected failures to exercise retries and fallbacks:
+//   --port <n>          Port to listen on (default: 8787; 0 picks a free one)
+//   --latency <ms>      Delay every response
+//   --fail-rate <0..1>  Answer this share of requests with 503
+//   --rate-limit <n>    Answer with 429 and Retry-After beyond n requests per second
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { BaselineDataset } from '../src/query-engine.js';
+
+const SNAPSHOT_PATH = fileURLToPath(new URL('../src/data/baseline-snapshot.json', import.meta.url));
+const MAX_PAGE_SIZE = 100;
+
+function parseArgs(argv) {
+  const options = { port: 8787, latency: 0, failRate: 0, rateLimit: 0 };
+  const names = { '--port': 'port', '--latency': 'latency', '--fail-rate': 'failRate', '--rate-limit': 'rateLimit' };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    if (!names[flag]) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    const value = Number(inline ?? argv[++i]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${flag} expects a number`);
+    }
+    options[names[flag]] = value;
+  }
+  return options;
+}
+
+// The API's records carry no MDN or caniuse data; the extension keeps those from its snapshot
+function toAPIRecord({ feature_id, name, description, spec, baseline, browser_implementations }) {
+  return { feature_id, name, description, spec, baseline, browser_implementations };
+}
+
+const options = parseArgs(process.argv.slice(2));
+const dataset = new BaselineDataset(JSON.parse(readFileSync(SNAPSHOT_PATH, 'utf-8')));
+let windowStart = 0;
+let windowCount = 0;
+
+function send(request, response, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  const etag = `"${createHash('sha1').update(text).digest('hex')}"`;
+  const common = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag, Retry-After',
+    ...headers
+  };
+
+  if (status === 200 && request.headers['if-none-match'] === etag) {
+    response.writeHead(304, { ...common, ETag: etag });
+    response.end();
+    return 304;
+  }
+  response.writeHead(status, { ...common, 'Content-Type': 'application/json', ...(status === 200 ? { ETag: etag } : {}) });
+  response.end(text);
+  return status;
+}
+
+function route(request, response) {
+  const url = new URL(request.url, `http://localhost:${options.port}`);
+
+  if (options.rateLimit > 0) {
+    const now = Date.now();
+    if (now - windowStart >= 1000) {
+      windowStart = now;
+      windowCount = 0;
+    }
+    if (++windowCount > options.rateLimit) {
+      return send(request, response, 429, { code: 429, message: 'Too many requests' }, { 'Retry-After': '1' });
+    }
+  }
+  if (Math.random() < options.failRate) {
+    return send(request, response, 503, { code: 503, message: 'Injected failure' });
+  }
+
+  if (url.pathname === '/v1/features') {
+    try {
+      const pageSize = Math.min(Number(url.searchParams.get('page_size')) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+      const result = dataset.search(url.searchParams.get('q') || '', {
+        pageSize,
+        pageToken: url.searchParams.get('page_token') || undefined
+      });
+      return send(request, response, 200, { data: result.data.map(toAPIRecord), metadata: result.metadata });
+    } catch (error) {
+      return send(request, response, 400, { code: 400, message: error.message });
+    }
+  }
+
+  const single = /^\/v1\/features\/([\w-]+)$/.exec(url.pathname);
+  if (single) {
+    const record = dataset.get(single[1]);
+    return record
+      ? send(request, response, 200, toAPIRecord(record))
+      : send(request, response, 404, { code: 404, message: 'Feature not found' });
+  }
+
+  return send(request, response, 404, { code: 404, message: 'Not found' });
+}
+
+createServer((request, response) => {
+  setTimeout(() => {
+    const status = route(request, response);
+    console.log(`${status} ${request.method} ${request.url}`);
+  }, options.latency);
+}).listen(options.port, function () {
+  // Tests start the server on port 0 and read the actual port from this line
+  console.log(`Mock webstatus.dev API on http://localhost:${this.address().port} (${dataset.features.length} features)`);
+});
@@ -0,0 +1,44 @@
+// analysis-cache.js - Detection results of stylesheets and scripts, keyed by content hash
+// Re-analysis replays the recorded hits instead of walking the same rules or parsing the
+// same script again. Only resources whose hits don't depend on live elements belong here.
+
+const MAX_ENTRIES = 500;
+
+// FNV-1a plus the length; a collision only means one resource is not re-analyzed
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(16)}-${text.length}`;
+}
+
+export class AnalysisCache {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    // Insertion order doubles as recency: entries are re-inserted when used
+    this.entries = new Map();
+  }
+
+  // Run `detect(add)` the first time a key is seen, then replay its hits into `add`.
+  // Returns whatever `detect` returned.
+  run(key, detect, add) {
+    let entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+    } else {
+      const hits = [];
+      const result = detect((...args) => hits.push(args));
+      entry = { hits, result };
+    }
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    entry.hits.forEach(args => add(...args));
+    return entry.result;
+  }
+}
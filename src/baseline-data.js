@@ -0,0 +1,6 @@
+// baseline-data.js - Shared instance of the bundled Baseline snapshot
+
+import snapshot from './data/baseline-snapshot.json' with { type: 'json' };
+import { BaselineDataset } from './query-engine.js';
+
+export const baselineDataset = new BaselineDataset(snapshot);
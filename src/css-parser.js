@@ -0,0 +1,61 @@
+// css-parser.js - Parses CSS text into the rule tree the detectors walk (Node only)
+// Produces the same node shapes as cssom-reader.js, plus source line numbers.
+
+import postcss from 'postcss';
+
+// At-rules whose blocks hold rules or declarations that apply to the enclosing selector
+const GROUPING_AT_RULES = new Set(['media', 'supports', 'container', 'layer', 'scope', 'starting-style', 'document']);
+
+function readDeclarations(nodes = []) {
+  return nodes
+    .filter(node => node.type === 'decl')
+    .map(node => ({ property: node.prop.startsWith('--') ? node.prop : node.prop.toLowerCase(), value: node.value }));
+}
+
+function readChildren(nodes = [], { keyframes = false } = {}) {
+  const children = [];
+  const declarations = readDeclarations(nodes);
+  if (declarations.length > 0) {
+    children.push({ type: 'style', selector: null, declarations, children: [] });
+  }
+
+  nodes.forEach(node => {
+    if (node.type === 'rule') {
+      children.push({
+        type: 'style',
+        selector: keyframes ? null : node.selector,
+        declarations: readDeclarations(node.nodes),
+        children: readChildren(node.nodes.filter(child => child.type !== 'decl')),
+        line: node.source?.start?.line
+      });
+    } else if (node.type === 'atrule') {
+      const name = node.name.toLowerCase();
+      children.push({
+        type: 'at-rule',
+        name,
+        prelude: node.params,
+        children: GROUPING_AT_RULES.has(name) || name.endsWith('keyframes')
+          ? readChildren(node.nodes, { keyframes: name.endsWith('keyframes') })
+          : [],
+        line: node.source?.start?.line
+      });
+    }
+  });
+
+  return children;
+}
+
+export function parseStyleSheet(cssText, source) {
+  return { source, rules: readChildren(postcss.parse(cssText).nodes) };
+}
+
+// Declaration lists from style="" attributes, labelled with the owning element
+export function parseStyleAttribute(cssText, label) {
+  return {
+    type: 'style',
+    selector: null,
+    label,
+    declarations: readDeclarations(postcss.parse(cssText).nodes),
+    children: []
+  };
+}
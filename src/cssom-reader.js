@@ -0,0 +1,116 @@
+// cssom-reader.js - Converts live CSSOM stylesheets into the rule tree the detectors walk
+//
+// Rule tree nodes:
+//   { type: 'style', selector, label?, declarations: [{ property, value }], children }
+//   { type: 'at-rule', name, prelude, children }
+// `selector` is null for declaration blocks that inherit their parent's selector
+// (nested declarations, keyframe blocks, style attributes).
+
+const AT_RULE_NAMES = {
+  CSSMediaRule: 'media',
+  CSSSupportsRule: 'supports',
+  CSSContainerRule: 'container',
+  CSSLayerBlockRule: 'layer',
+  CSSLayerStatementRule: 'layer',
+  CSSKeyframesRule: 'keyframes',
+  CSSImportRule: 'import',
+  CSSFontFaceRule: 'font-face',
+  CSSPageRule: 'page',
+  CSSScopeRule: 'scope',
+  CSSStartingStyleRule: 'starting-style',
+  CSSPropertyRule: 'property',
+  CSSCounterStyleRule: 'counter-style',
+  CSSFontPaletteValuesRule: 'font-palette-values',
+  CSSFontFeatureValuesRule: 'font-feature-values',
+  CSSNamespaceRule: 'namespace',
+  CSSViewTransitionRule: 'view-transition',
+  CSSPositionTryRule: 'position-try'
+};
+
+export function readDeclarations(style) {
+  const declarations = [];
+  for (let i = 0; i < style.length; i++) {
+    const property = style[i];
+    declarations.push({ property, value: style.getPropertyValue(property) });
+  }
+  return declarations;
+}
+
+function readImportPrelude(rule) {
+  const parts = [`url("${rule.href}")`];
+  if (rule.layerName !== null && rule.layerName !== undefined) {
+    parts.push(rule.layerName ? `layer(${rule.layerName})` : 'layer');
+  }
+  if (rule.supportsText) {
+    parts.push(`supports(${rule.supportsText})`);
+  }
+  if (rule.media?.mediaText) {
+    parts.push(rule.media.mediaText);
+  }
+  return parts.join(' ');
+}
+
+function readPrelude(rule, name) {
+  if (name === 'import') return readImportPrelude(rule);
+  if (name === 'layer') return rule.name ?? Array.from(rule.nameList || []).join(', ');
+  if (name === 'container') return rule.conditionText ?? `${rule.containerName} ${rule.containerQuery}`.trim();
+  return rule.conditionText ?? rule.name ?? rule.selectorText ?? '';
+}
+
+function readChildren(rule, name) {
+  if (name === 'import') {
+    // Imported sheets from other origins throw just like top-level ones
+    try {
+      return rule.styleSheet ? readRules(rule.styleSheet.cssRules) : [];
+    } catch {
+      return [];
+    }
+  }
+  return rule.cssRules ? readRules(rule.cssRules) : [];
+}
+
+function readRule(rule) {
+  const name = AT_RULE_NAMES[rule.constructor.name];
+  if (name) {
+    return { type: 'at-rule', name, prelude: readPrelude(rule, name), children: readChildren(rule, name) };
+  }
+
+  if (rule.style) {
+    // CSSStyleRule carries a selector; CSSNestedDeclarations and CSSKeyframeRule do not
+    return {
+      type: 'style',
+      selector: rule.selectorText ?? null,
+      declarations: readDeclarations(rule.style),
+      children: rule.cssRules ? readRules(rule.cssRules) : []
+    };
+  }
+
+  return null;
+}
+
+export function readRules(cssRules) {
+  return Array.from(cssRules).map(readRule).filter(Boolean);
+}
+
+// Throws for cross-origin sheets whose rules the CSSOM refuses to expose
+export function readStyleSheet(styleSheet, source) {
+  return { source, rules: readRules(styleSheet.cssRules) };
+}
+
+export function describeElement(el) {
+  const id = el.id ? `#${el.id}` : '';
+  const classes = Array.from(el.classList).map(name => `.${name}`).join('');
+  return `<${el.tagName.toLowerCase()}${id}${classes}>`;
+}
+
+// Style attributes of the given elements, as one sheet of selector-less declaration blocks
+export function readStyleAttributes(elements) {
+  const rules = Array.from(elements).map(el => ({
+    type: 'style',
+    selector: null,
+    label: describeElement(el),
+    declarations: readDeclarations(el.style),
+    children: []
+  }));
+  return { source: 'style attribute', rules };
+}
@@ -0,0 +1,524 @@
+// detection-rules.js - Runs the feature rule registry against CSS, scripts and documents
+// Shared by the content script (live pages) and the baseline-check CLI (files on disk).
+// Each detector reports hits through an `add(id, name, type, evidence, location, elements)` callback;
+// `elements` lists the live elements behind computed-style and DOM query hits.
+// Pass `runtime: true` in a live page to evaluate runtime probes; static analysis skips them.
+// Live pages also pass their open `shadowRoots`, which document-level queries never enter.
+// Stylesheet and script detectors also return the feature guards they found (`@supports`
+// blocks, `CSS.supports()` calls, `'share' in navigator` and `typeof` checks) as `{ id, location }`,
+// and mark hits that only run when such a test passes (or inside try/catch) with `guarded: true`.
+
+import { parse } from 'acorn';
+import { fullAncestor } from 'acorn-walk';
+import { FEATURE_RULES, getFeatureRule } from './feature-rules.js';
+
+const DEFAULT_EVIDENCE = {
+  'css-property': 'Found in {source}',
+  'css-selector': 'Found in {source}',
+  'css-at-rule': 'Found in {source}',
+  'computed-style': 'Active on {tag}',
+  'js-syntax': 'Found in scripts',
+  'js-api': 'Found in scripts',
+  'dom-query': 'Found {count} element(s)',
+  'runtime-probe': 'Found at runtime'
+};
+
+const MAX_LOCATIONS = 25;
+const MAX_SNIPPET_LENGTH = 80;
+
+function formatEvidence(matcher, values = {}) {
+  const template = matcher.evidence || DEFAULT_EVIDENCE[matcher.kind];
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+}
+
+function matchesName(pattern, name) {
+  if (pattern === undefined) return true;
+  if (pattern instanceof RegExp) return pattern.test(name);
+  if (Array.isArray(pattern)) return pattern.includes(name);
+  return pattern === name;
+}
+
+function runProbe(probe) {
+  try {
+    return Boolean(probe());
+  } catch {
+    return false;
+  }
+}
+
+// Call `callback(rule, matcher)` for every matcher of the given kinds
+function forEachMatcher(kinds, callback) {
+  FEATURE_RULES.forEach(rule => {
+    rule.matchers.forEach(matcher => {
+      if (kinds.includes(matcher.kind)) {
+        callback(rule, matcher);
+      }
+    });
+  });
+}
+
+// Record where a feature was found, keeping a bounded list of distinct locations
+export function mergeLocation(locations, location) {
+  if (!location) return;
+  const existing = locations.find(l =>
+    l.source === location.source && l.selector === location.selector && l.line === location.line
+  );
+  if (existing) {
+    // A line with both a guarded and an unguarded use is unguarded
+    if (!location.guarded) delete existing.guarded;
+  } else if (locations.length < MAX_LOCATIONS) {
+    locations.push(location);
+  }
+}
+
+// Tally source hits on the feature as `usage: { guarded, unguarded }`, past the location limit
+export function countUsage(feature, location) {
+  if (!location) return;
+  feature.usage = feature.usage || { guarded: 0, unguarded: 0 };
+  feature.usage[location.guarded ? 'guarded' : 'unguarded']++;
+}
+
+// === CSS ===
+// Strings and attribute selectors can contain anything, so blank them before matching
+function stripStrings(text) {
+  return text.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+}
+
+function cleanSelector(selector) {
+  return stripStrings(selector).replace(/\[[^\]]*\]/g, '[]');
+}
+
+function walkRules(rules, context, visit) {
+  rules.forEach(node => {
+    visit(node, context);
+    if (node.children.length > 0) {
+      const isStyleRule = node.type === 'style' && Boolean(node.selector);
+      walkRules(node.children, {
+        selector: isStyleRule ? node.selector : context.selector,
+        inStyleRule: context.inStyleRule || isStyleRule,
+        atRules: node.type === 'at-rule' ? [...context.atRules, node] : context.atRules
+      }, visit);
+    }
+  });
+}
+
+function matchesDeclaration(matcher, declaration) {
+  // Custom property values are arbitrary tokens; only matchers that target them by name apply
+  if (declaration.property.startsWith('--') && matcher.property === undefined) return false;
+  return matchesName(matcher.property, declaration.property) &&
+    (!matcher.value || matcher.value.test(stripStrings(declaration.value)));
+}
+
+// === Feature Guards ===
+// Declarations and selector() tests in a supports condition, e.g. `(display: grid) and selector(:has(a))`
+const SUPPORTS_DECLARATION = /\(\s*([-\w]+)\s*:\s*((?:[^()]|\([^()]*\))*)\)/g;
+const SUPPORTS_SELECTOR = /selector\(((?:[^()]|\([^()]*\))*)\)/g;
+const IMPORT_SUPPORTS = /\bsupports\(((?:[^()]|\([^()]*\))*)\)/;
+
+// Ids of the rules whose CSS a supports condition tests for
+function matchSupportsCondition(condition) {
+  const declarations = Array.from(condition.matchAll(SUPPORTS_DECLARATION),
+    ([, property, value]) => ({ property: property.toLowerCase(), value: value.trim() }));
+  const selectors = Array.from(condition.matchAll(SUPPORTS_SELECTOR), ([, selector]) => cleanSelector(selector));
+
+  const ids = new Set();
+  forEachMatcher(['css-property', 'css-selector'], (rule, matcher) => {
+    const tested = matcher.kind === 'css-property'
+      ? declarations.some(declaration => matchesDeclaration(matcher, declaration))
+      : !matcher.nested && selectors.some(selector => matcher.pattern.test(selector));
+    if (tested) ids.add(rule.id);
+  });
+  return ids;
+}
+
+// Ids of the rules whose API a feature test checks, given the tested path ('navigator.share',
+// 'Array.prototype.at'). Checking a member of the API (`navigator.clipboard.writeText`) counts too.
+function matchGuardedPath(path) {
+  const ids = new Set();
+  const property = path.split('.').pop();
+  forEachMatcher(['js-api'], (rule, matcher) => {
+    const tested = matcher.method
+      ? path.includes('.') && matchesName(matcher.method, property)
+      : path === matcher.path || path.startsWith(`${matcher.path}.`);
+    if (tested) ids.add(rule.id);
+  });
+  return ids;
+}
+
+// `supports(display: grid)` and `CSS.supports('display: grid')` take a bare declaration as well as a condition
+function toSupportsCondition(text) {
+  return /^\s*[-\w]+\s*:/.test(text) ? `(${text})` : text;
+}
+
+function supportsCondition(node) {
+  if (node.name === 'supports') return node.prelude;
+  const condition = node.name === 'import' && node.prelude.match(IMPORT_SUPPORTS)?.[1];
+  return condition ? toSupportsCondition(condition) : null;
+}
+
+function collectGuards(guards, ids, location) {
+  ids.forEach(id => guards.push({ id, location }));
+}
+
+// Walk a rule tree from cssom-reader.js or css-parser.js, matching declared properties,
+// selectors and at-rules structurally
+export function detectStyleSheet(sheet, add) {
+  const guards = [];
+  const cssMatchers = [];
+  forEachMatcher(['css-property', 'css-selector', 'css-at-rule'], (rule, matcher) => cssMatchers.push({ rule, matcher }));
+
+  // Rule ids each at-rule tests for; empty for anything but @supports and @import supports()
+  const testedIds = new Map();
+  const testsFor = (atRule) => {
+    if (!testedIds.has(atRule)) {
+      const condition = supportsCondition(atRule);
+      testedIds.set(atRule, condition ? matchSupportsCondition(condition) : new Set());
+    }
+    return testedIds.get(atRule);
+  };
+
+  const report = (rule, matcher, node, selector, context) => {
+    const location = { source: sheet.source, selector };
+    if (node.line) {
+      location.line = node.line;
+    }
+    // Inside an @supports block that tests for this very feature
+    if (context.atRules.some(atRule => testsFor(atRule).has(rule.id))) {
+      location.guarded = true;
+    }
+    add(rule.id, rule.name, rule.category, formatEvidence(matcher, { source: sheet.source }), location);
+  };
+
+  walkRules(sheet.rules, { selector: null, inStyleRule: false, atRules: [] }, (node, context) => {
+    if (node.type === 'at-rule') {
+      const label = `@${node.name} ${node.prelude}`.trim();
+      collectGuards(guards, testsFor(node), { source: sheet.source, selector: label, ...(node.line ? { line: node.line } : {}) });
+      cssMatchers.forEach(({ rule, matcher }) => {
+        if (matcher.kind === 'css-at-rule' && matcher.name === node.name &&
+          (!matcher.prelude || matcher.prelude.test(node.prelude))) {
+          report(rule, matcher, node, label, context);
+        }
+      });
+      return;
+    }
+
+    const enclosingAtRule = context.atRules[context.atRules.length - 1];
+    const selector = node.selector || node.label || context.selector ||
+      (enclosingAtRule ? `@${enclosingAtRule.name} ${enclosingAtRule.prelude}`.trim() : null);
+    cssMatchers.forEach(({ rule, matcher }) => {
+      if (matcher.kind === 'css-selector') {
+        if (node.selector && (!matcher.nested || context.inStyleRule) &&
+          (!matcher.pattern || matcher.pattern.test(cleanSelector(node.selector)))) {
+          report(rule, matcher, node, selector, context);
+        }
+      } else if (matcher.kind === 'css-property') {
+        if (node.declarations.some(declaration => matchesDeclaration(matcher, declaration))) {
+          report(rule, matcher, node, selector, context);
+        }
+      }
+    });
+  });
+
+  return { guards };
+}
+
+function matchesComputedStyle(matcher, styles) {
+  const value = styles[matcher.property] ?? styles.getPropertyValue?.(matcher.property);
+  if (!value) return false;
+  if (matcher.filter && !matcher.filter(styles)) return false;
+  return matcher.except ? value !== matcher.except : matcher.value.test(value);
+}
+
+// Reports each rule at most once per element, so callers can count elements per feature
+export function detectComputedStyle(element, styles, add) {
+  let reported = null;
+  forEachMatcher(['computed-style'], (rule, matcher) => {
+    if (reported === rule.id || !matchesComputedStyle(matcher, styles)) return;
+    reported = rule.id;
+    add(rule.id, rule.name, rule.category, formatEvidence(matcher, { tag: element.tagName.toLowerCase() }), undefined, [element]);
+  });
+}
+
+// === JavaScript ===
+const FUNCTION_NODES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self']);
+
+// Parse as a module first (modern bundles, top-level await), then as a sloppy classic script
+function parseScript(source) {
+  const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true };
+  try {
+    return parse(source, { ...options, sourceType: 'module' });
+  } catch {
+    return parse(source, { ...options, sourceType: 'script' });
+  }
+}
+
+// Dotted path of a member chain, e.g. `window.navigator.share` -> 'navigator.share'
+function memberPath(node) {
+  const parts = [];
+  while (node.type === 'MemberExpression') {
+    if (node.computed && node.property.type !== 'Literal') return null;
+    parts.unshift(node.computed ? String(node.property.value) : node.property.name);
+    node = node.object;
+  }
+  if (node.type !== 'Identifier') return null;
+  parts.unshift(node.name);
+
+  while (parts.length > 1 && GLOBAL_OBJECTS.has(parts[0])) {
+    parts.shift();
+  }
+  return parts.join('.');
+}
+
+// Identifiers used as property names or object keys are not references to globals
+function isReference(node, parent) {
+  if (!parent) return true;
+  if (parent.type === 'MemberExpression') return parent.object === node || parent.computed;
+  if (['Property', 'PropertyDefinition', 'MethodDefinition'].includes(parent.type)) return parent.value === node || parent.computed;
+  return true;
+}
+
+function matchesAPI(matcher, node, parent) {
+  if (matcher.method) {
+    return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+      matchesName(matcher.method, node.callee.property.name);
+  }
+
+  let path = null;
+  if (node.type === 'MemberExpression') {
+    path = memberPath(node);
+  } else if (node.type === 'Identifier' && isReference(node, parent)) {
+    path = node.name;
+  }
+  if (path !== matcher.path) return false;
+
+  if (matcher.call) return parent?.type === 'CallExpression' && parent.callee === node;
+  if (matcher.construct) return parent?.type === 'NewExpression' && parent.callee === node;
+  return true;
+}
+
+// The condition of a `CSS.supports('container-type', 'inline-size')` call with literal arguments
+function supportsCallCondition(node) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || memberPath(node.callee) !== 'CSS.supports') return null;
+  const args = node.arguments.map(arg => (arg.type === 'Literal' && typeof arg.value === 'string' ? arg.value : null));
+  if (args.length === 0 || args.length > 2 || args.includes(null)) return null;
+  return args.length === 2 ? `(${args[0]}: ${args[1]})` : toSupportsCondition(args[0]);
+}
+
+function isTruthinessTest(node, parent) {
+  return (['IfStatement', 'ConditionalExpression'].includes(parent?.type) && parent.test === node) ||
+    (parent?.type === 'LogicalExpression' && parent.left === node) ||
+    (parent?.type === 'UnaryExpression' && parent.operator === '!');
+}
+
+// The API path a feature test checks, or null: `'share' in navigator`, `typeof Promise.try`,
+// and members tested for truthiness (`if (navigator.share)`, `navigator.clipboard?.writeText && …`)
+function testedPath(node, parent) {
+  if (node.type === 'BinaryExpression' && node.operator === 'in' &&
+    node.left.type === 'Literal' && typeof node.left.value === 'string') {
+    const object = memberPath(node.right);
+    if (!object) return null;
+    return GLOBAL_OBJECTS.has(object) ? node.left.value : `${object}.${node.left.value}`;
+  }
+  if (node.type === 'UnaryExpression' && node.operator === 'typeof') {
+    return memberPath(node.argument);
+  }
+  if (['MemberExpression', 'ChainExpression'].includes(node.type) && isTruthinessTest(node, parent)) {
+    return memberPath(node.type === 'ChainExpression' ? node.expression : node);
+  }
+  return null;
+}
+
+function exits(statement) {
+  if (statement.type === 'BlockStatement') {
+    const last = statement.body[statement.body.length - 1];
+    return Boolean(last) && exits(last);
+  }
+  return ['ReturnStatement', 'ThrowStatement'].includes(statement.type);
+}
+
+// Record the nodes a feature test (the last of `ancestors`) protects: the test itself, the branch
+// or `&&` operand that only runs when it passes, and after `if (!test) return;` the rest of the block
+function markNode(nodes, node, ids) {
+  if (!node) return;
+  if (!nodes.has(node)) {
+    nodes.set(node, new Set());
+  }
+  ids.forEach(id => nodes.get(node).add(id));
+}
+
+function markGuardedNodes(guarded, ids, ancestors) {
+  if (ids.size === 0) return;
+  const mark = (node) => markNode(guarded, node, ids);
+
+  let child = ancestors[ancestors.length - 1];
+  // Whether the expression so far being truthy means the feature is there
+  let passes = true;
+  for (let i = ancestors.length - 2; i >= 0; i--) {
+    const node = ancestors[i];
+    if (node.type === 'UnaryExpression' && node.operator === '!') {
+      passes = !passes;
+    } else if (node.type === 'UnaryExpression' && node.operator === 'typeof') {
+      // Compared below
+    } else if (node.type === 'BinaryExpression' && /^[!=]==?$/.test(node.operator) && child.operator === 'typeof') {
+      // `typeof x === 'function'` holds with the feature, `typeof x === 'undefined'` without it
+      const other = node.left === child ? node.right : node.left;
+      const checksUndefined = other.type === 'Literal' && other.value === 'undefined';
+      if (node.operator.startsWith('!') !== checksUndefined) passes = !passes;
+    } else if (node.type === 'LogicalExpression' && node.operator === (passes ? '&&' : '||')) {
+      // `test && use()` and `!test || use()` only reach `use()` when the test passes
+      if (node.left === child) mark(node.right);
+    } else if (['IfStatement', 'ConditionalExpression'].includes(node.type) && node.test === child) {
+      mark(passes ? node.consequent : node.alternate);
+      const body = ancestors[i - 1]?.body;
+      if (!passes && node.type === 'IfStatement' && !node.alternate && exits(node.consequent) && Array.isArray(body)) {
+        body.slice(body.indexOf(node) + 1).forEach(mark);
+      }
+      return;
+    } else {
+      return;
+    }
+    child = node;
+  }
+}
+
+// Within a feature test for the rule, e.g. `Promise.any` in `typeof Promise.any`
+function isFeatureTest(rule, ancestors, tests) {
+  return ancestors.some(node => tests.get(node)?.has(rule.id));
+}
+
+// A hit is guarded inside a node protected by a test for its rule, or in a try block: a
+// missing API throws into the handler
+function isGuarded(rule, ancestors, guarded) {
+  return ancestors.some((node, index) =>
+    guarded.get(node)?.has(rule.id) ||
+    (node.type === 'TryStatement' && Boolean(node.handler) && node.block === ancestors[index + 1])
+  );
+}
+
+// Parse each script into an AST and detect syntax and API usage from its nodes.
+// `source` names the script (URL or file) for the reported locations.
+// Returns { parsed: false, error } when the script is not valid JavaScript.
+export function detectScriptText(scripts, add, { runtime = false, source = null } = {}) {
+  let ast;
+  try {
+    ast = parseScript(scripts);
+  } catch (error) {
+    return { parsed: false, error: error.message };
+  }
+
+  const syntaxMatchers = [];
+  const apiMatchers = [];
+  forEachMatcher(['js-syntax', 'js-api'], (rule, matcher) => {
+    if (runtime && matcher.probe && !runProbe(matcher.probe)) return;
+    (matcher.kind === 'js-syntax' ? syntaxMatchers : apiMatchers).push({ rule, matcher });
+  });
+
+  const locate = (node) => ({
+    source,
+    selector: null,
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+    snippet: scripts.slice(node.start, Math.min(node.end, node.start + MAX_SNIPPET_LENGTH))
+  });
+  const report = (rule, matcher, node, guarded = false) => {
+    const location = source ? locate(node) : undefined;
+    if (location && guarded) {
+      location.guarded = true;
+    }
+    add(rule.id, rule.name, rule.category, formatEvidence(matcher), location);
+  };
+  const guards = [];
+  // Nodes that only run when a feature test passes, and the tests themselves, with the rule ids
+  // tested for
+  const guarded = new WeakMap();
+  const tests = new WeakMap();
+  const apiHits = [];
+
+  fullAncestor(ast, (node, state, ancestors) => {
+    const parent = ancestors[ancestors.length - 2];
+
+    const condition = supportsCallCondition(node);
+    const path = condition ? null : testedPath(node, parent);
+    if (condition || path) {
+      const ids = condition ? matchSupportsCondition(condition) : matchGuardedPath(path);
+      collectGuards(guards, ids, locate(node));
+      markNode(tests, node, ids);
+      markGuardedNodes(guarded, ids, ancestors);
+    }
+
+    syntaxMatchers.forEach(({ rule, matcher }) => {
+      if (!matchesName(matcher.node, node.type)) return;
+      if (matcher.test && !matcher.test(node)) return;
+      if (matcher.topLevel && ancestors.some(ancestor => FUNCTION_NODES.has(ancestor.type))) return;
+      report(rule, matcher, node);
+    });
+
+    if (['MemberExpression', 'Identifier', 'CallExpression'].includes(node.type)) {
+      apiMatchers.forEach(({ rule, matcher }) => {
+        if (matchesAPI(matcher, node, parent)) {
+          // Quote the whole call (`new Worker('w.js')`) rather than just the callee
+          const isCallee = parent && ['CallExpression', 'NewExpression'].includes(parent.type) && parent.callee === node;
+          apiHits.push({ rule, matcher, node: isCallee ? parent : node, ancestors: [...ancestors] });
+        }
+      });
+    }
+  });
+
+  // The walk is post-order, so a test is only seen after the nodes inside it; API hits are
+  // classified once the whole tree is known. Syntax can't be guarded: it fails to parse.
+  // The tests are reported as guards, not uses.
+  apiHits.forEach(({ rule, matcher, node, ancestors }) => {
+    if (isFeatureTest(rule, ancestors, tests)) return;
+    report(rule, matcher, node, isGuarded(rule, ancestors, guarded));
+  });
+
+  return { parsed: true, guards };
+}
+
+// === HTML ===
+function queryMatcher(matcher, roots) {
+  const elements = roots.flatMap(root => Array.from(root.querySelectorAll(matcher.selector)));
+  return matcher.filter ? elements.filter(matcher.filter) : elements;
+}
+
+export function detectHTMLDocument(doc, add, { runtime = false, shadowRoots = [] } = {}) {
+  forEachMatcher(['dom-query', 'runtime-probe'], (rule, matcher) => {
+    if (matcher.kind === 'runtime-probe') {
+      if (runtime && runProbe(matcher.probe)) {
+        add(rule.id, rule.name, rule.category, formatEvidence(matcher));
+      }
+      return;
+    }
+
+    const elements = queryMatcher(matcher, [doc, ...shadowRoots]);
+    if (elements.length > 0) {
+      add(rule.id, rule.name, rule.category, formatEvidence(matcher, { count: elements.length }), undefined, elements);
+    }
+  });
+}
+
+// DOM queries against given elements only, e.g. the ones added since the last analysis
+export function detectHTMLElements(elements, add) {
+  forEachMatcher(['dom-query'], (rule, matcher) => {
+    const matches = elements.filter(el => el.matches(matcher.selector) && (!matcher.filter || matcher.filter(el)));
+    if (matches.length > 0) {
+      add(rule.id, rule.name, rule.category, formatEvidence(matcher, { count: matches.length }), undefined, matches);
+    }
+  });
+}
+
+// === Element Lookup ===
+// Elements in a live document matching a feature's DOM queries, used for highlighting.
+// Computed-style hits are remembered by the content script's scan instead of recomputed here.
+export function findFeatureElements(featureId, doc, { shadowRoots = [] } = {}) {
+  const rule = getFeatureRule(featureId);
+  if (!rule) return [];
+
+  const roots = [doc, ...shadowRoots];
+  const elements = new Set();
+  rule.matchers.filter(m => m.kind === 'dom-query').forEach(matcher => {
+    queryMatcher(matcher, roots).forEach(el => elements.add(el));
+  });
+  return Array.from(elements);
+}
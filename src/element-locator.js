@@ -0,0 +1,107 @@
+// element-locator.js - Serializable element locators, so hits can be found again for highlighting
+//
+// Locators are plain { selector } objects stored on detected features, where `selector` is
+// a querySelector path that identifies one element in the current document. Elements inside
+// open shadow roots are reached through their host: `#app > my-card >>> button:nth-of-type(2)`.
+
+import { getShadowRoot } from './shadow-roots.js';
+
+const MAX_LOCATORS = 25;
+const SHADOW_SEPARATOR = ' >>> ';
+
+// Pseudo-elements and state pseudo-classes never match in querySelectorAll; drop them
+const UNQUERYABLE_PSEUDO = /::?(before|after|marker|placeholder|selection|backdrop|first-line|first-letter|file-selector-button|hover|focus-visible|focus-within|focus|active|visited|target)(?![\w-])|::[\w-]+(\([^)]*\))?|:-(webkit|moz|ms)-[\w-]+(\([^)]*\))?/gi;
+
+function uniqueIdSelector(el, root) {
+  if (!el.id) return null;
+  const selector = `#${CSS.escape(el.id)}`;
+  return root.querySelectorAll(selector).length === 1 ? selector : null;
+}
+
+// A selector path from the nearest uniquely identified ancestor, e.g. `#main > div:nth-of-type(2)`
+export function buildLocator(el) {
+  const shadowRoot = getShadowRoot(el);
+  const path = buildPath(el, shadowRoot || el.ownerDocument);
+  return shadowRoot ? `${buildLocator(shadowRoot.host)}${SHADOW_SEPARATOR}${path}` : path;
+}
+
+function buildPath(el, root) {
+  const parts = [];
+  let node = el;
+  while (node && node.nodeType === Node.ELEMENT_NODE) {
+    const idSelector = uniqueIdSelector(node, root);
+    if (idSelector) {
+      parts.unshift(idSelector);
+      break;
+    }
+
+    let part = node.localName;
+    const parent = node.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.localName === node.localName);
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    node = parent;
+  }
+  return parts.join(' > ');
+}
+
+export function mergeLocator(locators, locator) {
+  if (!locator || locators.length >= MAX_LOCATORS) return;
+  if (!locators.some(l => l.selector === locator.selector)) {
+    locators.push(locator);
+  }
+}
+
+// Building a locator walks the element's ancestors, so skip that once the list is full
+export function addElementLocator(locators, el) {
+  if (locators.length < MAX_LOCATORS) {
+    mergeLocator(locators, { selector: buildLocator(el) });
+  }
+}
+
+// Split a selector list on top-level commas only, leaving `:is(a, b)` intact
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(selector.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(selector.slice(start));
+  return parts;
+}
+
+// Turn a stylesheet selector into one querySelectorAll accepts, or null when it can't be queried
+// (nesting selectors, at-rule labels)
+export function toQuerySelector(selector) {
+  if (!selector || selector.startsWith('@') || selector.startsWith('<') || selector.includes('&')) {
+    return null;
+  }
+  const queryable = splitSelectorList(selector)
+    .map(part => part.replace(UNQUERYABLE_PSEUDO, '').trim())
+    .filter(part => part && !/[>+~]$/.test(part))
+    .join(', ');
+  return queryable || null;
+}
+
+export function queryAll(root, selector) {
+  if (!selector) return [];
+  const [hostSelector, ...rest] = selector.split(SHADOW_SEPARATOR);
+  try {
+    const elements = Array.from(root.querySelectorAll(hostSelector));
+    if (rest.length === 0) return elements;
+    return elements.flatMap(host => host.shadowRoot ? queryAll(host.shadowRoot, rest.join(SHADOW_SEPARATOR)) : []);
+  } catch {
+    return [];
+  }
+}
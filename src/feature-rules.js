@@ -0,0 +1,579 @@
+// feature-rules.js - Declarative registry of detectable web features
+//
+// Each rule maps a local feature id to its web-features id and lists the matchers
+// that detect it. Where web-features folds the feature into an older one (optional chaining
+// into `object-object`), `compatKey` names the browser-compat-data key whose own Baseline
+// status applies instead. Matcher kinds:
+//   css-property    declared property (name, list or RegExp) with an optional value RegExp
+//   css-selector    selector text matching `pattern`; `nested: true` requires a rule nested in a style rule
+//   css-at-rule     at-rule `name` with an optional `prelude` RegExp
+//   computed-style  computed property `value` RegExp (or anything `except` a keyword) on live elements,
+//                   optionally narrowed by `filter(styles)`
+//   js-syntax       AST `node` type (or list) passing an optional `test(node)`; `topLevel: true`
+//                   requires the node to sit outside any function
+//   js-api          global or member `path` (e.g. 'navigator.share'), or a called `method` name;
+//                   `call`/`construct` require a call or `new`; optional runtime `probe` gate
+//   dom-query       elements matching `selector`, optionally narrowed by `filter`
+//   runtime-probe   `probe()` returning true in a live page
+// `evidence` may use {count} (dom-query) and {tag} (computed-style) placeholders.
+
+export const FEATURE_RULES = [
+  // === CSS ===
+  {
+    id: 'css-grid',
+    webFeatureId: 'grid',
+    name: 'CSS Grid Layout',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'display', value: /^(inline-)?grid$/ },
+      { kind: 'css-property', property: /^grid-(template|area|column|row)/ },
+      { kind: 'computed-style', property: 'display', value: /^(inline-)?grid$/, evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'flexbox',
+    webFeatureId: 'flexbox',
+    name: 'CSS Flexible Box Layout',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'display', value: /^(inline-)?flex$/ },
+      { kind: 'css-property', property: ['flex-direction', 'flex-wrap', 'justify-content', 'align-items'] },
+      { kind: 'computed-style', property: 'display', value: /^(inline-)?flex$/, evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'css-container-queries',
+    webFeatureId: 'container-queries',
+    name: 'CSS Container Queries',
+    category: 'css',
+    matchers: [
+      { kind: 'css-at-rule', name: 'container' },
+      { kind: 'css-property', property: ['container-type', 'container-name'] },
+      { kind: 'computed-style', property: 'container-type', except: 'normal', evidence: 'Container on {tag}' }
+    ]
+  },
+  {
+    id: 'css-subgrid',
+    webFeatureId: 'subgrid',
+    name: 'CSS Subgrid',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: /^grid-template/, value: /\bsubgrid\b/ }
+    ]
+  },
+  {
+    id: 'css-cascade-layers',
+    webFeatureId: 'cascade-layers',
+    name: 'CSS Cascade Layers',
+    category: 'css',
+    matchers: [
+      { kind: 'css-at-rule', name: 'layer' },
+      { kind: 'css-at-rule', name: 'import', prelude: /\blayer\b/ }
+    ]
+  },
+  {
+    id: 'css-aspect-ratio',
+    webFeatureId: 'aspect-ratio',
+    name: 'CSS aspect-ratio',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'aspect-ratio' },
+      { kind: 'computed-style', property: 'aspect-ratio', except: 'auto', evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'flexbox-gap',
+    webFeatureId: 'flexbox-gap',
+    name: 'CSS Gap',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: ['gap', 'column-gap', 'row-gap'], evidence: 'Found gap property' },
+      // Grid gaps were supported long before flexbox gaps; only flex containers count
+      { kind: 'computed-style', property: 'column-gap', except: 'normal', filter: styles => /flex$/.test(styles.display), evidence: 'Gap on flex container {tag}' },
+      { kind: 'computed-style', property: 'row-gap', except: 'normal', filter: styles => /flex$/.test(styles.display), evidence: 'Gap on flex container {tag}' }
+    ]
+  },
+  {
+    id: 'css-transforms',
+    webFeatureId: 'transforms2d',
+    name: 'CSS Transforms',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: ['transform', 'translate', 'rotate', 'scale'] },
+      { kind: 'computed-style', property: 'transform', except: 'none', evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'css-animations',
+    webFeatureId: 'animations-css',
+    name: 'CSS Animations',
+    category: 'css',
+    matchers: [
+      { kind: 'css-at-rule', name: 'keyframes', evidence: 'Found animations' },
+      { kind: 'css-property', property: ['animation', 'animation-name'], evidence: 'Found animations' }
+    ]
+  },
+  {
+    id: 'css-transitions',
+    webFeatureId: 'transitions',
+    name: 'CSS Transitions',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: ['transition', 'transition-property', 'transition-duration'], evidence: 'Found transitions' }
+    ]
+  },
+  {
+    id: 'css-backdrop-filter',
+    webFeatureId: 'backdrop-filter',
+    name: 'CSS backdrop-filter',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'backdrop-filter' },
+      { kind: 'computed-style', property: 'backdrop-filter', except: 'none', evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'css-masks',
+    webFeatureId: 'masks',
+    name: 'CSS Masks',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: ['mask', 'mask-image', 'mask-position'] }
+    ]
+  },
+  {
+    id: 'css-math-functions',
+    webFeatureId: 'min-max-clamp',
+    name: 'CSS Math Functions',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', value: /\bclamp\s*\(/, evidence: 'Found clamp() function' }
+    ]
+  },
+  {
+    id: 'css-logical-props',
+    webFeatureId: 'logical-properties',
+    name: 'CSS Logical Properties',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: /^(margin|padding|border)-(inline|block)/, evidence: 'Found logical properties' }
+    ]
+  },
+  {
+    id: 'css-filters',
+    webFeatureId: 'filter',
+    name: 'CSS Filters',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'filter' },
+      { kind: 'computed-style', property: 'filter', except: 'none', evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'css-sticky',
+    webFeatureId: 'sticky-positioning',
+    name: 'CSS position: sticky',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'position', value: /^(-webkit-)?sticky$/ },
+      { kind: 'computed-style', property: 'position', value: /^sticky$/, evidence: 'Sticky {tag}' }
+    ]
+  },
+  {
+    id: 'css-content-visibility',
+    webFeatureId: 'content-visibility',
+    name: 'CSS content-visibility',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: 'content-visibility' },
+      { kind: 'computed-style', property: 'content-visibility', except: 'visible', evidence: 'Active on {tag}' }
+    ]
+  },
+  {
+    id: 'css-custom-properties',
+    webFeatureId: 'custom-properties',
+    name: 'CSS Custom Properties',
+    category: 'css',
+    matchers: [
+      { kind: 'css-property', property: /^--/, evidence: 'Found custom property definitions' },
+      { kind: 'css-property', value: /var\(--[\w-]+/, evidence: 'Found var() usage' }
+    ]
+  },
+  {
+    id: 'css-has',
+    webFeatureId: 'has',
+    name: 'CSS :has() selector',
+    category: 'css',
+    matchers: [
+      { kind: 'css-selector', pattern: /:has\s*\(/, evidence: 'Found :has() selector' }
+    ]
+  },
+  {
+    id: 'css-is',
+    webFeatureId: 'is',
+    name: 'CSS :is() selector',
+    category: 'css',
+    matchers: [
+      { kind: 'css-selector', pattern: /:is\s*\(/, evidence: 'Found :is() selector' }
+    ]
+  },
+  {
+    id: 'css-where',
+    webFeatureId: 'where',
+    name: 'CSS :where() selector',
+    category: 'css',
+    matchers: [
+      { kind: 'css-selector', pattern: /:where\s*\(/, evidence: 'Found :where() selector' }
+    ]
+  },
+  {
+    id: 'css-nesting',
+    webFeatureId: 'nesting',
+    name: 'CSS Nesting',
+    category: 'css',
+    matchers: [
+      { kind: 'css-selector', nested: true, evidence: 'Found nesting syntax' }
+    ]
+  },
+
+  // === JavaScript ===
+  {
+    id: 'promise-allsettled',
+    webFeatureId: 'promise-allsettled',
+    name: 'Promise.allSettled()',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-api', path: 'Promise.allSettled', probe: () => typeof Promise.allSettled === 'function' }
+    ]
+  },
+  {
+    id: 'promise-any',
+    webFeatureId: 'promise-any',
+    name: 'Promise.any()',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-api', path: 'Promise.any', probe: () => typeof Promise.any === 'function' }
+    ]
+  },
+  {
+    id: 'promise-try',
+    webFeatureId: 'promise-try',
+    name: 'Promise.try()',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-api', path: 'Promise.try', probe: () => typeof Promise.try === 'function' }
+    ]
+  },
+  {
+    id: 'array-at',
+    webFeatureId: 'array-at',
+    name: 'Array.prototype.at()',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-api', method: 'at', evidence: 'Found .at() call' }
+    ]
+  },
+  {
+    id: 'array-findlast',
+    webFeatureId: 'array-findlast',
+    name: 'Array.prototype.findLast()',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-api', method: ['findLast', 'findLastIndex'], evidence: 'Found .findLast() call' }
+    ]
+  },
+  {
+    id: 'optional-chaining',
+    webFeatureId: 'object-object',
+    compatKey: 'javascript.operators.optional_chaining',
+    name: 'Optional Chaining',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'ChainExpression', evidence: 'Found ?. syntax' }
+    ]
+  },
+  {
+    id: 'nullish-coalescing',
+    webFeatureId: 'nullish-coalescing',
+    name: 'Nullish Coalescing',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'LogicalExpression', test: node => node.operator === '??', evidence: 'Found ?? syntax' }
+    ]
+  },
+  {
+    id: 'logical-assignment',
+    webFeatureId: 'logical-assignments',
+    name: 'Logical Assignment',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'AssignmentExpression', test: node => ['||=', '&&=', '??='].includes(node.operator), evidence: 'Found logical assignment' }
+    ]
+  },
+  {
+    id: 'async-await',
+    webFeatureId: 'async-await',
+    name: 'Async/Await',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'], test: node => node.async, evidence: 'Found async function' },
+      { kind: 'js-syntax', node: 'AwaitExpression', evidence: 'Found await expression' }
+    ]
+  },
+  {
+    id: 'top-level-await',
+    webFeatureId: 'top-level-await',
+    name: 'Top-level Await',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: ['AwaitExpression', 'ForOfStatement'], topLevel: true, test: node => node.type === 'AwaitExpression' || node.await, evidence: 'Found await outside a function' }
+    ]
+  },
+  {
+    id: 'arrow-functions',
+    webFeatureId: 'functions',
+    compatKey: 'javascript.functions.arrow_functions',
+    name: 'Arrow Functions',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'ArrowFunctionExpression', evidence: 'Found => syntax' }
+    ]
+  },
+  {
+    id: 'template-literals',
+    webFeatureId: 'template-literals',
+    name: 'Template Literals',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'TemplateLiteral', evidence: 'Found backtick syntax' }
+    ]
+  },
+  {
+    id: 'destructuring',
+    webFeatureId: 'destructuring',
+    name: 'Destructuring Assignment',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: ['ObjectPattern', 'ArrayPattern'], evidence: 'Found destructuring syntax' }
+    ]
+  },
+  {
+    id: 'spread-operator',
+    webFeatureId: 'spread',
+    name: 'Spread Operator',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'SpreadElement', evidence: 'Found ... syntax' }
+    ]
+  },
+  {
+    id: 'class-fields',
+    webFeatureId: 'class-syntax',
+    // Public fields are the newest kind of field; private and static ones reached Baseline earlier
+    compatKey: 'javascript.classes.public_class_fields',
+    name: 'Class Fields',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'PropertyDefinition', evidence: 'Found class field' }
+    ]
+  },
+  {
+    id: 'class-static-blocks',
+    webFeatureId: 'class-syntax',
+    compatKey: 'javascript.classes.static.initialization_blocks',
+    name: 'Class Static Initialization Blocks',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'StaticBlock', evidence: 'Found static initialization block' }
+    ]
+  },
+  {
+    id: 'private-methods',
+    webFeatureId: 'class-syntax',
+    compatKey: 'javascript.classes.private_class_methods',
+    name: 'Private Class Methods',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'MethodDefinition', test: node => node.key.type === 'PrivateIdentifier', evidence: 'Found #private method' }
+    ]
+  },
+  {
+    id: 'es-modules',
+    webFeatureId: 'js-modules',
+    name: 'ES Modules',
+    category: 'javascript',
+    matchers: [
+      { kind: 'dom-query', selector: 'script[type="module"]', evidence: 'Found {count} module script(s)' }
+    ]
+  },
+  {
+    id: 'dynamic-import',
+    webFeatureId: 'js-modules',
+    name: 'Dynamic Import',
+    category: 'javascript',
+    matchers: [
+      { kind: 'js-syntax', node: 'ImportExpression', evidence: 'Found import() usage' }
+    ]
+  },
+
+  // === Web APIs ===
+  {
+    id: 'fetch',
+    webFeatureId: 'fetch',
+    name: 'Fetch API',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'fetch', call: true, probe: () => 'fetch' in window, evidence: 'Found fetch() usage' }
+    ]
+  },
+  {
+    id: 'structured-clone',
+    webFeatureId: 'structured-clone',
+    name: 'structuredClone()',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'structuredClone', probe: () => typeof structuredClone === 'function', evidence: 'Found structuredClone() usage' }
+    ]
+  },
+  {
+    id: 'intersection-observer',
+    webFeatureId: 'intersection-observer',
+    name: 'Intersection Observer',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'IntersectionObserver', probe: () => 'IntersectionObserver' in window, evidence: 'Found usage' }
+    ]
+  },
+  {
+    id: 'resize-observer',
+    webFeatureId: 'resize-observer',
+    name: 'Resize Observer',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'ResizeObserver', probe: () => 'ResizeObserver' in window, evidence: 'Found usage' }
+    ]
+  },
+  {
+    id: 'web-workers',
+    webFeatureId: 'dedicated-workers',
+    name: 'Web Workers',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'Worker', construct: true, probe: () => 'Worker' in window, evidence: 'Found Worker usage' }
+    ]
+  },
+  {
+    id: 'service-workers',
+    webFeatureId: 'service-workers',
+    name: 'Service Workers',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'navigator.serviceWorker', probe: () => 'serviceWorker' in navigator, evidence: 'Found serviceWorker usage' }
+    ]
+  },
+  {
+    id: 'payment-request',
+    webFeatureId: 'payment-request',
+    name: 'Payment Request API',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'PaymentRequest', probe: () => 'PaymentRequest' in window, evidence: 'Found usage' }
+    ]
+  },
+  {
+    id: 'web-share',
+    webFeatureId: 'share',
+    name: 'Web Share API',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'navigator.share', probe: () => 'share' in navigator, evidence: 'Found navigator.share usage' }
+    ]
+  },
+  {
+    id: 'clipboard-api',
+    webFeatureId: 'async-clipboard',
+    name: 'Clipboard API',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'navigator.clipboard', probe: () => Boolean(navigator.clipboard), evidence: 'Found clipboard usage' }
+    ]
+  },
+  {
+    id: 'geolocation',
+    webFeatureId: 'geolocation',
+    name: 'Geolocation API',
+    category: 'web-api',
+    matchers: [
+      { kind: 'js-api', path: 'navigator.geolocation', probe: () => 'geolocation' in navigator, evidence: 'Found geolocation usage' }
+    ]
+  },
+
+  // === HTML ===
+  {
+    id: 'custom-elements',
+    webFeatureId: 'autonomous-custom-elements',
+    name: 'Custom Elements',
+    category: 'html',
+    matchers: [
+      { kind: 'runtime-probe', probe: () => window.customElements?.getNames?.().length > 0, evidence: 'Found registered custom elements' },
+      { kind: 'dom-query', selector: '*', filter: el => el.localName.includes('-'), evidence: 'Found {count} custom element(s)' }
+    ]
+  },
+  {
+    id: 'shadow-dom',
+    webFeatureId: 'shadow-dom',
+    name: 'Shadow DOM',
+    category: 'html',
+    matchers: [
+      { kind: 'dom-query', selector: '[shadowroot], template[shadowrootmode]', evidence: 'Found shadow DOM usage' },
+      { kind: 'runtime-probe', probe: () => Array.from(document.querySelectorAll('*')).some(el => el.shadowRoot), evidence: 'Found shadow DOM usage' }
+    ]
+  },
+  {
+    id: 'html5-forms',
+    webFeatureId: 'input-date-time',
+    name: 'HTML5 Form Controls',
+    category: 'html',
+    matchers: [
+      { kind: 'dom-query', selector: 'input[type="date"], input[type="color"], input[type="range"], input[type="time"], input[type="datetime-local"]', evidence: 'Found {count} modern input types' }
+    ]
+  },
+  {
+    id: 'details-summary',
+    webFeatureId: 'details',
+    name: 'Details/Summary Elements',
+    category: 'html',
+    matchers: [
+      { kind: 'dom-query', selector: 'details', evidence: 'Found {count} details elements' }
+    ]
+  },
+  {
+    id: 'picture-element',
+    webFeatureId: 'picture',
+    name: 'Picture Element',
+    category: 'html',
+    matchers: [
+      { kind: 'dom-query', selector: 'picture', evidence: 'Found {count} picture elements' }
+    ]
+  },
+  {
+    id: 'dialog-element',
+    webFeatureId: 'dialog',
+    name: 'Dialog Element',
+    category: 'html',
+    matchers: [
+      { kind: 'dom-query', selector: 'dialog', evidence: 'Found {count} dialog elements' }
+    ]
+  }
+];
+
+const RULES_BY_ID = new Map(FEATURE_RULES.map(rule => [rule.id, rule]));
+
+export function getFeatureRule(id) {
+  return RULES_BY_ID.get(id) || null;
+}
+
+// Fall back to the local id, which already matches web-features for many entries
+export function toWebFeatureId(localId) {
+  return RULES_BY_ID.get(localId)?.webFeatureId || localId;
+}
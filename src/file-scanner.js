@@ -0,0 +1,132 @@
+// file-scanner.js - Runs the detection rules against HTML, CSS and JS files on disk
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { extname, join, relative } from 'node:path';
+import { parseHTML } from 'linkedom';
+import { detectStyleSheet, detectScriptText, detectHTMLDocument, mergeLocation, countUsage } from './detection-rules.js';
+import { parseStyleSheet, parseStyleAttribute } from './css-parser.js';
+import { describeElement } from './cssom-reader.js';
+import { resolveBaseline } from './resolve-baseline.js';
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+const CSS_EXTENSIONS = new Set(['.css']);
+const JS_EXTENSIONS = new Set(['.js', '.mjs', '.cjs']);
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+export async function collectFiles(target) {
+  const info = await stat(target);
+  if (!info.isDirectory()) {
+    return [target];
+  }
+
+  const files = [];
+  const entries = await readdir(target, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+
+    const path = join(target, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await collectFiles(path));
+    } else if (isScannable(path)) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function isScannable(path) {
+  const extension = extname(path).toLowerCase();
+  return HTML_EXTENSIONS.has(extension) || CSS_EXTENSIONS.has(extension) || JS_EXTENSIONS.has(extension);
+}
+
+function analyzeScript(source, file, add, addGuards) {
+  const result = detectScriptText(source, add, { source: file });
+  if (!result.parsed) {
+    console.warn(`Skipping ${file}: ${result.error}`);
+  } else {
+    addGuards(result.guards);
+  }
+}
+
+function analyzeHTML(source, file, add, addGuards) {
+  const { document } = parseHTML(source);
+
+  document.querySelectorAll('style').forEach((style, index) => {
+    addGuards(detectStyleSheet(parseStyleSheet(style.textContent, `${file} <style> #${index + 1}`), add).guards);
+  });
+  const styleAttributes = Array.from(document.querySelectorAll('[style]'))
+    .map(el => parseStyleAttribute(el.getAttribute('style'), describeElement(el)));
+  detectStyleSheet({ source: `${file} style attribute`, rules: styleAttributes }, add);
+
+  document.querySelectorAll('script:not([src])').forEach((script, index) => {
+    analyzeScript(script.textContent, `${file} <script> #${index + 1}`, add, addGuards);
+  });
+  detectHTMLDocument(document, add);
+}
+
+function analyzeFile(path, file, source, add, addGuards) {
+  const extension = extname(path).toLowerCase();
+  if (HTML_EXTENSIONS.has(extension)) {
+    analyzeHTML(source, file, add, addGuards);
+  } else if (CSS_EXTENSIONS.has(extension)) {
+    addGuards(detectStyleSheet(parseStyleSheet(source, file), add).guards);
+  } else if (JS_EXTENSIONS.has(extension)) {
+    analyzeScript(source, file, add, addGuards);
+  }
+}
+
+// Scan files and directories, returning detected features with the files each was found in
+// and the feature tests (`guards`) that check for them
+export async function scanPaths(targets, { cwd = process.cwd() } = {}) {
+  const detected = new Map();
+  const guards = new Map();
+  const files = [];
+
+  const addGuards = (found) => {
+    found.forEach(({ id, location }) => {
+      if (!guards.has(id)) {
+        guards.set(id, []);
+      }
+      mergeLocation(guards.get(id), location);
+    });
+  };
+
+  for (const target of targets) {
+    files.push(...await collectFiles(target));
+  }
+
+  for (const path of files) {
+    const source = await readFile(path, 'utf-8');
+    const file = relative(cwd, path) || path;
+
+    const add = (id, name, type, evidence, location) => {
+      if (!detected.has(id)) {
+        detected.set(id, { id, name, type, evidence, files: [], locations: [] });
+      }
+      const feature = detected.get(id);
+      if (!feature.files.includes(file)) {
+        feature.files.push(file);
+      }
+      mergeLocation(feature.locations, location);
+      countUsage(feature, location);
+    };
+
+    try {
+      analyzeFile(path, file, source, add, addGuards);
+    } catch (error) {
+      // Syntax errors in one file should not abort the whole scan
+      console.warn(`Skipping ${file}: ${error.message}`);
+    }
+  }
+
+  detected.forEach((feature, id) => {
+    feature.guards = guards.get(id) || [];
+  });
+
+  return {
+    files,
+    features: resolveBaseline(Array.from(detected.values()))
+  };
+}
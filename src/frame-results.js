@@ -0,0 +1,127 @@
+// frame-results.js - Per-frame detection results, merged into one record per tab
+// The content script runs in every frame, and each frame reports its own findings. The
+// background keeps the raw reports in chrome.storage.session (`frames_${tabId}`) so they
+// survive the service worker going idle, and merges them whenever one changes. Reports are kept
+// for as long as their document is still in the tab, whichever frame reports first.
+
+const MAX_CALL_ORIGINS = 10;
+
+function sumStats(target, stats) {
+  Object.entries(stats || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    }
+  });
+  return target;
+}
+
+// One feature list for the whole tab. Locations, locators and guards found in subframes carry
+// the frame's URL as `frame`, and every feature lists the frames it was seen in.
+export function mergeFrameResults(frames) {
+  const reports = Object.values(frames || {}).sort((a, b) => a.frameId - b.frameId);
+  const top = reports.find(report => report.frameId === 0) || reports[0];
+  const features = new Map();
+  const stats = {};
+
+  reports.forEach(report => {
+    const tag = (item) => (report.frameId === 0 ? item : { ...item, frame: report.url });
+
+    (report.features || []).forEach(feature => {
+      let merged = features.get(feature.id);
+      if (!merged) {
+        merged = { ...feature, locations: [], locators: [], guards: [], frames: [] };
+        delete merged.calls;
+        delete merged.usage;
+        delete merged.elementCount;
+        features.set(feature.id, merged);
+      }
+
+      merged.locations.push(...(feature.locations || []).map(tag));
+      merged.locators.push(...(feature.locators || []).map(tag));
+      merged.guards.push(...(feature.guards || []).map(tag));
+      merged.frames.push({ frameId: report.frameId, url: report.url });
+
+      if (feature.usage) {
+        merged.usage = {
+          guarded: (merged.usage?.guarded || 0) + feature.usage.guarded,
+          unguarded: (merged.usage?.unguarded || 0) + feature.usage.unguarded
+        };
+      }
+      if (feature.elementCount) {
+        merged.elementCount = (merged.elementCount || 0) + feature.elementCount;
+      }
+      if (feature.calls) {
+        merged.calls = {
+          count: (merged.calls?.count || 0) + feature.calls.count,
+          origins: [...(merged.calls?.origins || []), ...feature.calls.origins].slice(0, MAX_CALL_ORIGINS)
+        };
+      }
+    });
+
+    Object.entries(report.stats || {}).forEach(([group, values]) => {
+      stats[group] = sumStats(stats[group] || {}, values);
+    });
+  });
+
+  return {
+    features: Array.from(features.values()),
+    url: top?.url,
+    title: top?.title,
+    stats,
+    frames: reports.map(({ frameId, url, features: found }) => ({ frameId, url, featureCount: (found || []).length }))
+  };
+}
+
+// documentIds of every frame currently in the tab, or null when they can't be listed
+async function liveDocuments(tabId) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    return frames ? new Set(frames.map(frame => frame.documentId)) : null;
+  } catch {
+    return null;
+  }
+}
+
+export class FrameResults {
+  constructor() {
+    // Reports for one tab are applied one at a time, so concurrent frames don't overwrite each other
+    this.writes = new Map();
+  }
+
+  async get(tabId) {
+    const key = `frames_${tabId}`;
+    const { [key]: frames } = await chrome.storage.session.get(key);
+    return frames || {};
+  }
+
+  update(tabId, frameId, documentId, report) {
+    const previous = this.writes.get(tabId) || Promise.resolve();
+    const task = previous.then(() => this.write(tabId, frameId, documentId, report));
+    this.writes.set(tabId, task.catch(() => {}));
+    return task;
+  }
+
+  async write(tabId, frameId, documentId, report) {
+    let frames = await this.get(tabId);
+    const live = documentId ? await liveDocuments(tabId) : null;
+
+    if (live) {
+      // A late report from a document the tab has navigated away from
+      if (!live.has(documentId)) return frames;
+      // Drop frames whose document is gone, keeping subframes that reported before the top frame
+      frames = Object.fromEntries(Object.entries(frames).filter(([, frame]) => live.has(frame.documentId)));
+    } else if (frameId === 0 && frames[0] && frames[0].documentId !== documentId) {
+      // Without frame data, a new top-level document means the old page's frames are gone
+      frames = {};
+    }
+
+    frames[frameId] = { frameId, documentId, ...report, timestamp: Date.now() };
+    await chrome.storage.session.set({ [`frames_${tabId}`]: frames });
+    return frames;
+  }
+
+  remove(tabId) {
+    this.writes.delete(tabId);
+    return chrome.storage.session.remove(`frames_${tabId}`);
+  }
+}
@@ -0,0 +1,302 @@
+// inspector-overlay.js - In-page inspector that highlights the elements behind a feature
+// Renders into a closed shadow root on <html>, so neither the page's styles nor its
+// MutationObservers on <body> see it, and no classes are added to page elements.
+
+const OVERLAY_STYLES = `
+  :host {
+    all: initial;
+    position: fixed;
+    inset: 0;
+    pointer-events: none;
+    z-index: 2147483647;
+  }
+
+  .box {
+    position: fixed;
+    box-sizing: border-box;
+    border: 1px dashed rgba(255, 107, 0, 0.7);
+    background: rgba(255, 107, 0, 0.06);
+  }
+
+  .box.current {
+    border: 2px solid #ff6b00;
+    background: rgba(255, 107, 0, 0.15);
+  }
+
+  .panel {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    width: 320px;
+    max-height: 45vh;
+    overflow-y: auto;
+    pointer-events: auto;
+    background: white;
+    color: #212529;
+    border: 1px solid #e9ecef;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+
+  .panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 12px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border-top-left-radius: 8px;
+    border-top-right-radius: 8px;
+  }
+
+  .panel-title {
+    flex: 1;
+    font-weight: 600;
+    font-size: 13px;
+  }
+
+  button {
+    font: inherit;
+    border: 1px solid #ced4da;
+    background: white;
+    color: #212529;
+    border-radius: 4px;
+    padding: 2px 8px;
+    cursor: pointer;
+  }
+
+  button:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+
+  .panel-header button {
+    border-color: rgba(255, 255, 255, 0.6);
+    background: transparent;
+    color: white;
+  }
+
+  .panel-body {
+    padding: 10px 12px;
+  }
+
+  .position {
+    color: #6c757d;
+    margin-bottom: 6px;
+  }
+
+  .element {
+    font-family: 'Monaco', 'Courier New', monospace;
+    word-break: break-all;
+    margin-bottom: 8px;
+  }
+
+  .rule-link {
+    display: block;
+    width: 100%;
+    text-align: left;
+    color: #667eea;
+    border-color: #e9ecef;
+  }
+
+  .rule-text {
+    margin: 6px 0 0 0;
+    padding: 6px;
+    max-height: 160px;
+    overflow: auto;
+    background: #f8f9fa;
+    border-radius: 4px;
+    font-family: 'Monaco', 'Courier New', monospace;
+    font-size: 11px;
+    white-space: pre-wrap;
+  }
+
+  .open-link {
+    display: inline-block;
+    margin-top: 6px;
+    color: #667eea;
+    text-decoration: none;
+  }
+
+  .empty {
+    color: #6c757d;
+  }
+
+  .status {
+    padding: 1px 6px;
+    border-radius: 10px;
+    background: rgba(255, 255, 255, 0.25);
+    font-size: 10px;
+    font-weight: 600;
+    text-transform: uppercase;
+    white-space: nowrap;
+  }
+`;
+
+const STATUS_LABELS = {
+  widely: 'Widely available',
+  newly: 'Newly available',
+  limited: 'Limited'
+};
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+export class InspectorOverlay {
+  // `resolveRuleText(rule)` returns the CSS text of a stylesheet rule location, or null
+  constructor({ resolveRuleText } = {}) {
+    this.resolveRuleText = resolveRuleText || (() => null);
+    this.host = null;
+    this.root = null;
+    this.feature = null;
+    this.matches = [];
+    this.index = 0;
+    this.showRule = false;
+    this.frame = null;
+    this.reposition = this.reposition.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  // `matches` is [{ element, label, rule: { source, selector, line } | null }]
+  show(feature, matches) {
+    this.mount();
+    this.feature = feature;
+    this.matches = matches;
+    this.index = 0;
+    this.showRule = false;
+    this.render();
+    this.focusCurrent();
+  }
+
+  // Baseline status arrives after the panel opens; ignore it if another feature is shown by then
+  setBaseline(featureId, baseline) {
+    if (!this.root || this.feature?.id !== featureId) return;
+    this.feature = { ...this.feature, baseline };
+    this.render();
+  }
+
+  hide() {
+    if (!this.host) return;
+    window.removeEventListener('scroll', this.reposition, true);
+    window.removeEventListener('resize', this.reposition);
+    window.removeEventListener('keydown', this.handleKeydown, true);
+    cancelAnimationFrame(this.frame);
+    this.host.remove();
+    this.host = null;
+    this.root = null;
+    this.matches = [];
+  }
+
+  destroy() {
+    this.hide();
+  }
+
+  contains(element) {
+    return Boolean(this.host) && element === this.host;
+  }
+
+  mount() {
+    if (this.host) return;
+    // A plain <div> with a closed root, so the page's custom element and shadow DOM detection skip it
+    this.host = document.createElement('div');
+    this.host.setAttribute('data-baseline-inspector', '');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    document.documentElement.appendChild(this.host);
+
+    window.addEventListener('scroll', this.reposition, true);
+    window.addEventListener('resize', this.reposition);
+    window.addEventListener('keydown', this.handleKeydown, true);
+  }
+
+  move(step) {
+    if (this.matches.length === 0) return;
+    this.index = (this.index + step + this.matches.length) % this.matches.length;
+    this.showRule = false;
+    this.render();
+    this.focusCurrent();
+  }
+
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      this.hide();
+    }
+  }
+
+  focusCurrent() {
+    this.matches[this.index]?.element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+
+  render() {
+    const match = this.matches[this.index];
+    this.root.innerHTML = `
+      <style>${OVERLAY_STYLES}</style>
+      <div class="boxes"></div>
+      <div class="panel" role="dialog" aria-label="Baseline inspector">
+        <div class="panel-header">
+          <span class="panel-title">${escapeHTML(this.feature.name || this.feature.id)}</span>
+          ${this.feature.baseline ? `<span class="status" title="${this.feature.baseline.low_date ? `Baseline since ${escapeHTML(this.feature.baseline.low_date)}` : 'Not Baseline'}">${escapeHTML(STATUS_LABELS[this.feature.baseline.status] || this.feature.baseline.status)}</span>` : ''}
+          <button data-action="prev" ${this.matches.length < 2 ? 'disabled' : ''} title="Previous match">‹</button>
+          <button data-action="next" ${this.matches.length < 2 ? 'disabled' : ''} title="Next match">›</button>
+          <button data-action="close" title="Close (Esc)">✕</button>
+        </div>
+        <div class="panel-body">
+          ${match ? this.renderMatch(match) : '<div class="empty">No elements on this page exhibit this feature.</div>'}
+        </div>
+      </div>
+    `;
+
+    this.root.querySelector('.panel').addEventListener('click', event => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'prev') this.move(-1);
+      if (action === 'next') this.move(1);
+      if (action === 'close') this.hide();
+      if (action === 'rule') {
+        this.showRule = !this.showRule;
+        this.render();
+      }
+    });
+
+    this.reposition();
+  }
+
+  renderMatch(match) {
+    const { rule } = match;
+    let ruleSection = '<div class="empty">Matched by computed style or markup</div>';
+
+    if (rule) {
+      const location = `${rule.source}${rule.line ? `:${rule.line}` : ''}`;
+      const text = this.showRule ? this.resolveRuleText(rule) : null;
+      ruleSection = `
+        <button class="rule-link" data-action="rule" title="Show the responsible rule">
+          ${escapeHTML(rule.selector || '')} <span class="empty">— ${escapeHTML(location)}</span>
+        </button>
+        ${this.showRule ? `<pre class="rule-text">${escapeHTML(text || 'Rule text is not available for this stylesheet.')}</pre>` : ''}
+        ${this.showRule && /^https?:/.test(rule.source) ? `<a class="open-link" href="${escapeHTML(rule.source)}" target="_blank" rel="noopener">Open stylesheet ↗</a>` : ''}
+      `;
+    }
+
+    return `
+      <div class="position">Match ${this.index + 1} of ${this.matches.length}</div>
+      <div class="element">${escapeHTML(match.label)}</div>
+      ${ruleSection}
+    `;
+  }
+
+  // Boxes use fixed positioning, so redraw them whenever the page scrolls or resizes
+  reposition() {
+    if (!this.root) return;
+    cancelAnimationFrame(this.frame);
+    this.frame = requestAnimationFrame(() => {
+      const boxes = this.root.querySelector('.boxes');
+      if (!boxes) return;
+      boxes.innerHTML = this.matches.map(({ element }, index) => {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return '';
+        if (rect.bottom < 0 || rect.top > innerHeight || rect.right < 0 || rect.left > innerWidth) return '';
+        return `<div class="box${index === this.index ? ' current' : ''}" style="top: ${rect.top}px; left: ${rect.left}px; width: ${rect.width}px; height: ${rect.height}px;"></div>`;
+      }).join('');
+    });
+  }
+}
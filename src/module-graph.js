@@ -0,0 +1,32 @@
+// module-graph.js - Finds the modules a script imports so their sources can be analyzed too
+
+const IMPORT_PATTERNS = [
+  // import x from './a.js', export * from './a.js'
+  /\b(?:import|export)\s[^'"`;]*?\bfrom\s*(['"])([^'"\n]+)\1/g,
+  // import './a.js'
+  /\bimport\s*(['"])([^'"\n]+)\1/g,
+  // import('./a.js')
+  /\bimport\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g
+];
+
+export function findImportSpecifiers(source) {
+  const specifiers = new Set();
+  IMPORT_PATTERNS.forEach(pattern => {
+    for (const match of source.matchAll(pattern)) {
+      specifiers.add(match[2]);
+    }
+  });
+  return Array.from(specifiers);
+}
+
+// Resolve relative and absolute specifiers; bare specifiers need an import map and are skipped
+export function resolveSpecifier(specifier, baseUrl) {
+  if (!/^(\.{0,2}\/|https?:)/.test(specifier)) {
+    return null;
+  }
+  try {
+    return new URL(specifier, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
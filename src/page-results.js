@@ -0,0 +1,75 @@
+// page-results.js - The features found by one analysis of a page, merged hit by hit
+// A full analysis starts from empty results; mutation passes add to them. Stylesheets and
+// scripts are claimed by content hash first, so a resource repeated by components or inserted
+// again after a mutation is merged once per analysis and the results stay the same.
+
+import { mergeLocation, countUsage } from './detection-rules.js';
+import { hashText } from './analysis-cache.js';
+
+export class PageResults {
+  constructor() {
+    this.features = new Map();
+    // Content hashes (and labels of unreadable sources) already merged
+    this.resources = new Set();
+    // Feature tests (`@supports`, `'share' in navigator`) found in the analyzed sources, by feature id.
+    // Features share these arrays as `guards`, so tests found after the feature still show up.
+    this.guards = new Map();
+  }
+
+  clear() {
+    this.features.clear();
+    this.resources.clear();
+    this.guards.clear();
+  }
+
+  // The content's hash the first time it is seen, null after that
+  claim(text, hash = hashText(text)) {
+    if (this.resources.has(hash)) return null;
+    this.resources.add(hash);
+    return hash;
+  }
+
+  get(id) {
+    return this.features.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.features.values());
+  }
+
+  // Record one hit; the latest evidence wins, locations and usage accumulate
+  add(id, name, type, evidence, location) {
+    let feature = this.features.get(id);
+    if (feature) {
+      feature.evidence = evidence;
+    } else {
+      feature = { id, name, type, evidence, locations: [], locators: [], guards: this.guardsFor(id) };
+      this.features.set(id, feature);
+    }
+
+    // Remember which stylesheet and selector the hit came from, and whether a feature test guards it
+    mergeLocation(feature.locations, location);
+    countUsage(feature, location);
+    return feature;
+  }
+
+  guardsFor(id) {
+    if (!this.guards.has(id)) {
+      this.guards.set(id, []);
+    }
+    return this.guards.get(id);
+  }
+
+  addGuards(guards = []) {
+    guards.forEach(({ id, location }) => mergeLocation(this.guardsFor(id), location));
+  }
+
+  // Features plus their locations, locators and guards; grows whenever a pass finds something new
+  size() {
+    let size = 0;
+    this.features.forEach(feature => {
+      size += 1 + feature.locations.length + feature.locators.length + feature.guards.length;
+    });
+    return size;
+  }
+}
@@ -0,0 +1,127 @@
+// page-tracer.js - Trace mode: runs in the page's main world and counts calls to selected APIs
+// Injected at document_start when trace mode is on, so it wraps the globals before page
+// scripts capture them. It must stay free of imports: it is loaded as a classic script.
+// Calls are reported to the content script with window.postMessage as cumulative snapshots.
+
+(() => {
+  const SOURCE = 'baseline-tracer';
+  const FLUSH_DELAY = 1000;
+  // Capturing a stack is expensive; hot APIs like Array.prototype.at are only sampled
+  const MAX_STACK_SAMPLES = 50;
+  const MAX_ORIGINS = 10;
+
+  // Local feature ids (see feature-rules.js) and the functions that exercise them
+  const TRACE_TARGETS = [
+    { feature: 'intersection-observer', path: 'IntersectionObserver' },
+    { feature: 'resize-observer', path: 'ResizeObserver' },
+    { feature: 'web-share', path: 'Navigator.prototype.share' },
+    { feature: 'web-share', path: 'Navigator.prototype.canShare' },
+    { feature: 'clipboard-api', path: 'Clipboard.prototype.readText' },
+    { feature: 'clipboard-api', path: 'Clipboard.prototype.writeText' },
+    { feature: 'clipboard-api', path: 'Clipboard.prototype.read' },
+    { feature: 'clipboard-api', path: 'Clipboard.prototype.write' },
+    { feature: 'structured-clone', path: 'structuredClone' },
+    { feature: 'array-findlast', path: 'Array.prototype.findLast' },
+    { feature: 'array-findlast', path: 'Array.prototype.findLastIndex' },
+    { feature: 'array-at', path: 'Array.prototype.at' },
+    { feature: 'promise-any', path: 'Promise.any' },
+    { feature: 'promise-allsettled', path: 'Promise.allSettled' },
+    { feature: 'promise-try', path: 'Promise.try' },
+    { feature: 'payment-request', path: 'PaymentRequest' },
+    { feature: 'web-workers', path: 'Worker' },
+    { feature: 'geolocation', path: 'Geolocation.prototype.getCurrentPosition' },
+    { feature: 'geolocation', path: 'Geolocation.prototype.watchPosition' }
+  ];
+
+  // feature id -> { count, samples, origins: Map<url, { line, column, count }> }
+  const calls = new Map();
+  let flushTimeout = null;
+
+  function stackLocations() {
+    return (new Error().stack || '').split('\n').map(frame => {
+      const match = frame.match(/([a-z-]+:\/\/[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+      return match && { url: match[1], line: Number(match[2]), column: Number(match[3]) };
+    }).filter(Boolean);
+  }
+
+  // Our own frames come first; normally chrome-extension:// URLs, but not when inlined by a bundler
+  const SELF_URL = stackLocations()[0]?.url;
+
+  // First stack frame outside the tracer: the page script that made the call
+  function callerLocation() {
+    return stackLocations().find(location => location.url !== SELF_URL && /^(https?|file):/.test(location.url)) || null;
+  }
+
+  function record(feature) {
+    let entry = calls.get(feature);
+    if (!entry) {
+      entry = { count: 0, samples: 0, origins: new Map() };
+      calls.set(feature, entry);
+    }
+    entry.count++;
+
+    if (entry.samples < MAX_STACK_SAMPLES) {
+      entry.samples++;
+      const location = callerLocation();
+      if (location) {
+        const origin = entry.origins.get(location.url);
+        if (origin) {
+          origin.count++;
+        } else if (entry.origins.size < MAX_ORIGINS) {
+          entry.origins.set(location.url, { ...location, count: 1 });
+        }
+      }
+    }
+
+    if (!flushTimeout) {
+      flushTimeout = setTimeout(flush, FLUSH_DELAY);
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimeout);
+    flushTimeout = null;
+    const snapshot = Array.from(calls, ([feature, entry]) => ({
+      feature,
+      count: entry.count,
+      origins: Array.from(entry.origins.values())
+    }));
+    window.postMessage({ source: SOURCE, type: 'TRACE_CALLS', calls: snapshot }, '*');
+  }
+
+  function wrap({ feature, path }) {
+    const parts = path.split('.');
+    const name = parts.pop();
+    const owner = parts.reduce((object, part) => object?.[part], window);
+    const descriptor = owner && Object.getOwnPropertyDescriptor(owner, name);
+    if (!descriptor || typeof descriptor.value !== 'function' || !descriptor.configurable) return;
+
+    // A Proxy keeps name, length, prototype and instanceof behaviour of the original
+    const traced = new Proxy(descriptor.value, {
+      apply(target, thisArg, args) {
+        record(feature);
+        return Reflect.apply(target, thisArg, args);
+      },
+      construct(target, args, newTarget) {
+        record(feature);
+        return Reflect.construct(target, args, newTarget === traced ? target : newTarget);
+      }
+    });
+    Object.defineProperty(owner, name, { ...descriptor, value: traced });
+  }
+
+  TRACE_TARGETS.forEach(target => {
+    try {
+      wrap(target);
+    } catch {
+      // Leave APIs we cannot wrap untouched
+    }
+  });
+
+  // The content script loads later than we do; answer its request with what was recorded so far
+  window.addEventListener('message', event => {
+    if (event.source === window && event.data?.source === 'baseline-detector' && event.data.type === 'TRACE_REQUEST') {
+      flush();
+    }
+  });
+})();
@@ -0,0 +1,195 @@
+// query-engine.js - Local implementation of the webstatus.dev feature search syntax
+// Supports `name:`, `id:`, `baseline_status:`, `baseline_date:`, `group:`, `snapshot:`,
+// `available_on:`, bare words, quoted values, `-` negation, `OR`, implicit `AND` and parentheses.
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// === Tokenizer ===
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /\s*(\(|\)|-?[\w]+:"[^"]*"|-?"[^"]*"|[^\s()]+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const text = match[1];
+    if (text === '(' || text === ')') {
+      tokens.push({ type: text });
+    } else if (text === 'OR') {
+      tokens.push({ type: 'OR' });
+    } else if (text === 'AND') {
+      tokens.push({ type: 'AND' });
+    } else {
+      tokens.push({ type: 'term', ...parseTerm(text) });
+    }
+  }
+
+  return tokens;
+}
+
+function parseTerm(text) {
+  let negate = false;
+  if (text.startsWith('-') && text.length > 1) {
+    negate = true;
+    text = text.slice(1);
+  }
+
+  const separator = text.indexOf(':');
+  let field = null;
+  let value = text;
+  if (separator > 0 && !text.startsWith('"')) {
+    field = text.slice(0, separator).toLowerCase();
+    value = text.slice(separator + 1);
+  }
+
+  return { field, value: value.replace(/^"|"$/g, ''), negate };
+}
+
+// === Parser ===
+// expression := and ('OR' and)*
+// and        := unary (('AND')? unary)*
+// unary      := '(' expression ')' | term
+function parse(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  function parseExpression() {
+    const nodes = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+      }
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  function parseUnary() {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Unexpected end of query');
+    }
+    if (token.type === '(') {
+      const node = parseExpression();
+      if (tokens[position++]?.type !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return node;
+    }
+    if (token.type !== 'term') {
+      throw new Error(`Unexpected ${token.type} in query`);
+    }
+    return token;
+  }
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].type} in query`);
+  }
+  return tree;
+}
+
+// === Evaluation ===
+function matchesDateRange(date, range) {
+  if (!date) return false;
+  const [from, to] = range.split('..');
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+function matchesTerm(feature, term) {
+  const value = term.value.toLowerCase();
+  let result;
+
+  switch (term.field) {
+    case 'name':
+      result = feature.name.toLowerCase().includes(value);
+      break;
+    case 'id':
+      result = feature.feature_id === value;
+      break;
+    case 'baseline_status':
+      result = feature.baseline.status === value;
+      break;
+    case 'baseline_date':
+      result = matchesDateRange(feature.baseline.low_date, value);
+      break;
+    case 'group':
+      result = feature.group.includes(value);
+      break;
+    case 'snapshot':
+      result = feature.snapshot.includes(value);
+      break;
+    case 'available_on':
+      result = feature.browser_implementations[value]?.status === 'available';
+      break;
+    case null:
+      result = feature.name.toLowerCase().includes(value) || feature.feature_id.includes(value);
+      break;
+    default:
+      throw new Error(`Unknown search field: ${term.field}`);
+  }
+
+  return term.negate ? !result : result;
+}
+
+function evaluate(node, feature) {
+  switch (node.type) {
+    case 'or':
+      return node.nodes.some(child => evaluate(child, feature));
+    case 'and':
+      return node.nodes.every(child => evaluate(child, feature));
+    default:
+      return matchesTerm(feature, node);
+  }
+}
+
+// === Dataset ===
+export class BaselineDataset {
+  constructor(snapshot) {
+    this.source = snapshot.source;
+    this.generated = snapshot.generated;
+    this.features = [...snapshot.features].sort((a, b) => a.name.localeCompare(b.name));
+    this.byId = new Map(this.features.map(f => [f.feature_id, f]));
+    this.compatFeatures = new Map(Object.entries(snapshot.compat_features || {}));
+  }
+
+  get(featureId) {
+    return this.byId.get(featureId) || null;
+  }
+
+  // Status of a single browser-compat-data key, for rules with a `compatKey`
+  getCompat(compatKey) {
+    return this.compatFeatures.get(compatKey) || null;
+  }
+
+  // Mirrors GET /v1/features: page tokens are opaque offsets into the sorted result set
+  search(query, { pageSize = DEFAULT_PAGE_SIZE, pageToken } = {}) {
+    const tree = parse(tokenize(query || ''));
+    const matches = tree ? this.features.filter(f => evaluate(tree, f)) : this.features;
+
+    const offset = pageToken ? parseInt(pageToken, 10) || 0 : 0;
+    const data = matches.slice(offset, offset + pageSize);
+    const nextOffset = offset + data.length;
+
+    return {
+      data,
+      metadata: {
+        total: matches.length,
+        next_page_token: nextOffset < matches.length ? String(nextOffset) : undefined
+      }
+    };
+  }
+}
@@ -0,0 +1,126 @@
+// remediation.js - What to do about features that are not Baseline for the target: known
+// polyfills, feature-detection snippets and progressive-enhancement patterns
+//
+// Entries are keyed by web-features id:
+//   polyfills  [{ name, url }] of maintained polyfills or build-time transforms
+//   detect     a feature test to guard the usage with
+//   fallback   the progressive-enhancement pattern, in one or two sentences
+// Web APIs without a curated `detect` get an `in` test derived from their rule's API path.
+
+import { FEATURE_RULES } from './feature-rules.js';
+
+const CORE_JS = { name: 'core-js', url: 'https://github.com/zloirock/core-js' };
+
+const REMEDIATIONS = {
+  // === CSS ===
+  'container-queries': {
+    polyfills: [{ name: 'container-query-polyfill', url: 'https://github.com/GoogleChromeLabs/container-query-polyfill' }],
+    detect: '@supports (container-type: inline-size) { … }',
+    fallback: 'Lay the component out with media queries first, then refine it with @container rules inside @supports.'
+  },
+  subgrid: {
+    detect: '@supports (grid-template-columns: subgrid) { … }',
+    fallback: 'Give the nested grid its own track sizes; where subgrid is supported it then aligns to the parent grid.'
+  },
+  'cascade-layers': {
+    polyfills: [{ name: 'postcss-cascade-layers', url: 'https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-cascade-layers' }],
+    fallback: 'Browsers without layers drop layered rules entirely, so flatten them at build time.'
+  },
+  nesting: {
+    polyfills: [{ name: 'postcss-nesting', url: 'https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting' }],
+    fallback: 'Browsers without nesting drop the whole nested rule, so flatten nested rules at build time.'
+  },
+  has: {
+    detect: '@supports selector(:has(a)) { … }',
+    fallback: 'Style the default state without :has() and add the relational styles inside @supports selector(…).'
+  },
+  'backdrop-filter': {
+    detect: '@supports (backdrop-filter: blur(4px)) or (-webkit-backdrop-filter: blur(4px)) { … }',
+    fallback: 'Keep a semi-opaque background color underneath so text stays readable without the blur, and add the -webkit- prefix for Safari.'
+  },
+  'content-visibility': {
+    detect: '@supports (content-visibility: auto) { … }',
+    fallback: 'Safe as an enhancement: browsers without it render everything up front, just more slowly. Pair it with contain-intrinsic-size.'
+  },
+  masks: {
+    detect: '@supports (mask-image: none) or (-webkit-mask-image: none) { … }',
+    fallback: 'Add the -webkit-mask-* properties for older WebKit and Blink, and make sure the unmasked element still looks acceptable.'
+  },
+
+  // === JavaScript ===
+  'promise-try': {
+    polyfills: [CORE_JS],
+    detect: "typeof Promise.try === 'function'",
+    fallback: 'new Promise(resolve => resolve(fn())) runs fn with the same error handling.'
+  },
+  'promise-allsettled': { polyfills: [CORE_JS], detect: "typeof Promise.allSettled === 'function'" },
+  'promise-any': { polyfills: [CORE_JS], detect: "typeof Promise.any === 'function'" },
+  'array-at': {
+    polyfills: [CORE_JS],
+    detect: "'at' in Array.prototype",
+    fallback: 'array[array.length - 1] reads the last element everywhere.'
+  },
+  'array-findlast': { polyfills: [CORE_JS], detect: "'findLast' in Array.prototype" },
+  'structured-clone': { polyfills: [CORE_JS], detect: "typeof structuredClone === 'function'" },
+  'top-level-await': {
+    fallback: 'Wrap the module body in an async function, or let the bundler handle top-level await for your target.'
+  },
+
+  // === Web APIs ===
+  fetch: { polyfills: [{ name: 'whatwg-fetch', url: 'https://github.com/JakeChampion/fetch' }] },
+  'intersection-observer': {
+    polyfills: [{ name: 'intersection-observer', url: 'https://github.com/w3c/IntersectionObserver/tree/main/polyfill' }],
+    fallback: 'Without it, load lazy content up front rather than on scroll.'
+  },
+  'resize-observer': { polyfills: [{ name: '@juggle/resize-observer', url: 'https://github.com/juggle/resize-observer' }] },
+  share: {
+    detect: "'share' in navigator",
+    fallback: 'Only show the share button when navigator.share exists; otherwise offer a copy-link button or share links.'
+  },
+  'async-clipboard': {
+    detect: 'navigator.clipboard?.writeText',
+    fallback: "Fall back to selecting a hidden <textarea> and document.execCommand('copy'), or ask the user to copy."
+  },
+  'payment-request': {
+    detect: "'PaymentRequest' in window",
+    fallback: 'Keep the regular checkout form and offer Payment Request as a faster path where it exists.'
+  },
+
+  // === HTML ===
+  dialog: {
+    polyfills: [{ name: 'dialog-polyfill', url: 'https://github.com/GoogleChrome/dialog-polyfill' }],
+    detect: "typeof HTMLDialogElement === 'function'"
+  },
+  'autonomous-custom-elements': {
+    polyfills: [{ name: '@webcomponents/custom-elements', url: 'https://github.com/webcomponents/polyfills/tree/master/packages/custom-elements' }],
+    detect: "'customElements' in window"
+  }
+};
+
+// Syntax can't be tested for at runtime: an unsupported script fails to parse as a whole
+const SYNTAX_FALLBACK = 'Syntax cannot be feature-detected at runtime; transpile it for your target with Babel, esbuild or TypeScript.';
+
+// `'share' in navigator` for a rule's 'navigator.share' API path
+function toInTest(path) {
+  const parts = path.split('.');
+  const property = parts.pop();
+  return `'${property}' in ${parts.join('.') || 'window'}`;
+}
+
+// Remediation for a web-features id, or null when there is nothing to suggest
+export function getRemediation(webFeatureId) {
+  const rules = FEATURE_RULES.filter(rule => rule.webFeatureId === webFeatureId);
+  const matchers = rules.flatMap(rule => rule.matchers);
+  const curated = REMEDIATIONS[webFeatureId] || {};
+
+  const apiPath = matchers.find(matcher => matcher.kind === 'js-api' && matcher.path)?.path;
+  const onlySyntax = matchers.length > 0 && matchers.every(matcher => matcher.kind === 'js-syntax');
+  const remediation = {
+    polyfills: curated.polyfills || [],
+    detect: curated.detect || (apiPath ? toInTest(apiPath) : null),
+    fallback: curated.fallback || (onlySyntax ? SYNTAX_FALLBACK : null)
+  };
+
+  const empty = remediation.polyfills.length === 0 && !remediation.detect && !remediation.fallback;
+  return empty ? null : remediation;
+}
@@ -0,0 +1,239 @@
+// report-export.js - Builds downloadable compatibility reports from a stored tab record
+// The record is what background.js keeps in `features_${tabId}`:
+//   { features, url, title, stats, target, timestamp }
+
+const WEBSTATUS_URL = 'https://webstatus.dev/features/';
+
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  sarif: { label: 'SARIF', extension: 'sarif', mimeType: 'application/sarif+json' }
+};
+
+function verdict(feature) {
+  const compliant = feature.compliance?.compliant;
+  // Outside the target, but only ever used behind a feature test
+  if (compliant === true && feature.compliance.guarded) return 'guarded';
+  if (compliant === true) return 'compliant';
+  if (compliant === false) return 'violating';
+  return 'unknown';
+}
+
+// Flatten features into the rows every format is built from, violations first.
+// Suppressed features (see suppressions.js) keep their verdict but are reported apart.
+function toRows(features) {
+  const rank = { violating: 0, unknown: 1, guarded: 2, compliant: 3 };
+  return features
+    .map(feature => ({
+      id: feature.id,
+      name: feature.name || feature.id,
+      category: feature.type,
+      webFeatureId: feature.webFeatureId || null,
+      evidence: feature.evidence || '',
+      status: feature.baseline?.status || 'unknown',
+      lowDate: feature.baseline?.low_date || null,
+      highDate: feature.baseline?.high_date || null,
+      verdict: verdict(feature),
+      reasons: feature.compliance?.reasons || [],
+      locations: feature.locations || [],
+      calls: feature.calls?.count,
+      elements: feature.elementCount,
+      usage: feature.usage || null,
+      suppression: feature.suppression || null
+    }))
+    .sort((a, b) => rank[a.verdict] - rank[b.verdict] || a.name.localeCompare(b.name));
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length, violating: 0, guarded: 0, compliant: 0, unknown: 0, suppressed: 0, byStatus: {} };
+  rows.forEach(row => {
+    if (row.suppression) {
+      summary.suppressed++;
+      return;
+    }
+    summary[row.verdict]++;
+    summary.byStatus[row.status] = (summary.byStatus[row.status] || 0) + 1;
+  });
+  return summary;
+}
+
+function toJSON(record, rows, generatedAt) {
+  return JSON.stringify({
+    url: record.url,
+    title: record.title,
+    analyzedAt: record.timestamp ? new Date(record.timestamp).toISOString() : null,
+    generatedAt,
+    target: record.target || null,
+    summary: summarize(rows),
+    features: rows.filter(row => !row.suppression),
+    suppressed: rows.filter(row => row.suppression)
+  }, null, 2);
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(record, rows, generatedAt) {
+  const summary = summarize(rows);
+  const lines = [
+    `# Baseline report: ${markdownCell(record.title || record.url)}`,
+    '',
+    `- URL: ${record.url}`,
+    `- Analyzed: ${record.timestamp ? new Date(record.timestamp).toISOString() : 'unknown'}`,
+    `- Target: ${record.target || 'none'}`,
+    `- Features: ${summary.total} detected, ${summary.violating} violating, ${summary.compliant} compliant, ${summary.guarded} guarded, ${summary.unknown} unknown${summary.suppressed ? `, ${summary.suppressed} suppressed` : ''}`,
+    '',
+    '| Feature | Category | Baseline | Newly available | Widely available | Target | Evidence |',
+    '| --- | --- | --- | --- | --- | --- | --- |'
+  ];
+
+  const featureLink = (row) => (row.webFeatureId ? `[${markdownCell(row.name)}](${WEBSTATUS_URL}${row.webFeatureId})` : markdownCell(row.name));
+  const targetCell = (row) => {
+    if (row.verdict === 'violating') return `❌ ${markdownCell(row.reasons.join('; '))}`;
+    if (row.verdict === 'guarded') return `✅ guarded (${markdownCell(row.reasons.join('; '))})`;
+    return row.verdict === 'compliant' ? '✅' : '—';
+  };
+
+  rows.filter(row => !row.suppression).forEach(row => {
+    lines.push(`| ${featureLink(row)} | ${row.category} | ${row.status} | ${row.lowDate || '—'} | ${row.highDate || '—'} | ${targetCell(row)} | ${markdownCell(row.evidence)} |`);
+  });
+
+  const suppressed = rows.filter(row => row.suppression);
+  if (suppressed.length > 0) {
+    lines.push('', '## Suppressed', '', '| Feature | Baseline | Target | Note | Scope | Expires |', '| --- | --- | --- | --- | --- | --- |');
+    suppressed.forEach(row => {
+      const { note, scope, expires } = row.suppression;
+      lines.push(`| ${featureLink(row)} | ${row.status} | ${targetCell(row)} | ${markdownCell(note) || '—'} | ${markdownCell(scope) || 'all sites'} | ${expires || '—'} |`);
+    });
+  }
+
+  lines.push('', `_Generated ${generatedAt} by Baseline Checker_`, '');
+  return lines.join('\n');
+}
+
+// RFC 4180 quoting; cells that spreadsheets would run as formulas are prefixed with '
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(record, rows) {
+  const header = ['id', 'name', 'category', 'web_feature_id', 'baseline_status', 'baseline_low_date',
+    'baseline_high_date', 'target_verdict', 'target_reasons', 'evidence', 'locations', 'page_url', 'suppressed', 'suppression_note',
+    'suppression_expires', 'guarded_uses', 'unguarded_uses'];
+  const lines = [header.join(',')];
+  rows.forEach(row => {
+    const locations = row.locations
+      .map(location => `${location.source}${location.line ? `:${location.line}` : ''}${location.selector ? ` ${location.selector}` : ''}${location.frame ? ` (frame ${location.frame})` : ''}${location.guarded ? ' (guarded)' : ''}`)
+      .join('; ');
+    lines.push([
+      row.id, row.name, row.category, row.webFeatureId, row.status, row.lowDate, row.highDate,
+      row.verdict, row.reasons.join('; '), row.evidence, locations, record.url,
+      row.suppression ? 'yes' : 'no', row.suppression?.note, row.suppression?.expires,
+      row.usage?.guarded, row.usage?.unguarded
+    ].map(csvCell).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Inline sources ("inline <style> #3f2a9c1e-812", "style attribute") live in the page, or the frame they came from
+function artifactURI(source, pageURL) {
+  return /^[a-z][a-z\d+.-]*:/i.test(source || '') ? source : pageURL;
+}
+
+function sarifLevel(row) {
+  if (row.verdict === 'violating') return 'error';
+  if (row.status === 'limited' || row.verdict === 'unknown') return 'warning';
+  return 'note';
+}
+
+function toSARIF(record, rows, generatedAt, { toolVersion }) {
+  // Local ids are unique per row; several may share one web-features id
+  const rules = rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    shortDescription: { text: row.name },
+    ...(row.webFeatureId ? { helpUri: `${WEBSTATUS_URL}${row.webFeatureId}` } : {}),
+    properties: {
+      webFeatureId: row.webFeatureId,
+      category: row.category,
+      baselineStatus: row.status,
+      baselineLowDate: row.lowDate,
+      baselineHighDate: row.highDate
+    }
+  }));
+
+  const results = rows.map((row, ruleIndex) => {
+    const message = row.verdict === 'violating'
+      ? `${row.name} violates the target (${record.target}): ${row.reasons.join('; ')}`
+      : row.verdict === 'guarded'
+        ? `${row.name} is only used behind a feature test; unguarded it would violate the target (${record.target}): ${row.reasons.join('; ')}`
+        : `${row.name} is used (Baseline: ${row.status}). ${row.evidence}`.trim();
+    const locations = (row.locations.length > 0 ? row.locations : [{ source: record.url }]).map(location => ({
+      physicalLocation: {
+        artifactLocation: { uri: artifactURI(location.source, location.frame || record.url) },
+        ...(location.line ? { region: { startLine: location.line, ...(location.column ? { startColumn: location.column + 1 } : {}) } } : {})
+      },
+      ...(location.selector || location.snippet ? {
+        message: { text: [location.source, location.selector, location.snippet, location.guarded && 'guarded'].filter(Boolean).join(' — ') }
+      } : {})
+    }));
+
+    return {
+      ruleId: row.id,
+      ruleIndex,
+      level: sarifLevel(row),
+      message: { text: message },
+      locations,
+      // Reviewers accepted the feature; code-scanning tools show it as dismissed
+      ...(row.suppression ? {
+        suppressions: [{ kind: 'external', status: 'accepted', justification: row.suppression.note || 'Suppressed in Baseline Checker' }]
+      } : {})
+    };
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Baseline Checker',
+          ...(toolVersion ? { version: toolVersion } : {}),
+          informationUri: 'https://web.dev/baseline',
+          rules
+        }
+      },
+      invocations: [{ executionSuccessful: true, endTimeUtc: generatedAt }],
+      properties: { pageUrl: record.url, pageTitle: record.title, target: record.target || null },
+      results
+    }]
+  }, null, 2);
+}
+
+function slug(text) {
+  return String(text || 'page').toLowerCase().replace(/^https?:\/\//, '').replace(/[^a-z\d]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+}
+
+// { filename, mimeType, content } for one of REPORT_FORMATS
+export function buildReport(record, format, { toolVersion, now = new Date() } = {}) {
+  const type = REPORT_FORMATS[format];
+  if (!type) {
+    throw new Error(`Unknown report format "${format}"`);
+  }
+
+  const rows = toRows(record.features || []);
+  const generatedAt = now.toISOString();
+  const builders = { json: toJSON, markdown: toMarkdown, csv: toCSV, sarif: toSARIF };
+
+  return {
+    filename: `baseline-${slug(record.url)}-${generatedAt.slice(0, 10)}.${type.extension}`,
+    mimeType: type.mimeType,
+    content: builders[format](record, rows, generatedAt, { toolVersion })
+  };
+}
@@ -0,0 +1,26 @@
+// resolve-baseline.js - Attaches Baseline data to locally detected features
+
+import { getFeatureRule, toWebFeatureId } from './feature-rules.js';
+import { baselineDataset } from './baseline-data.js';
+
+// Attach web-features id, Baseline status and browser versions from the bundled snapshot, or
+// from `records` (a Map by web-features id, e.g. webstatus.dev data) where they have an entry.
+// Rules with a `compatKey` take that key's status; webstatus.dev only has whole features.
+export function resolveBaseline(features, records = null) {
+  return features.map(feature => {
+    const webFeatureId = toWebFeatureId(feature.id);
+    const compatKey = getFeatureRule(feature.id)?.compatKey;
+    const data = (compatKey && baselineDataset.getCompat(compatKey)) ||
+      records?.get(webFeatureId) || baselineDataset.get(webFeatureId);
+    if (!data) {
+      return { ...feature, webFeatureId };
+    }
+
+    return {
+      ...feature,
+      webFeatureId,
+      baseline: { ...data.baseline },
+      browser_implementations: data.browser_implementations
+    };
+  });
+}
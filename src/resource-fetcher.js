@@ -0,0 +1,157 @@
+// resource-fetcher.js - Fetches page subresources from the background worker
+// Content scripts cannot read cross-origin stylesheets through the CSSOM, and external
+// scripts are not in the DOM at all, but the extension's host permission lets the
+// service worker fetch them directly. Only http(s) URLs are fetched, so messages can't turn the
+// worker into a proxy for file: or extension URLs.
+
+import { findImportSpecifiers, resolveSpecifier } from './module-graph.js';
+
+const MAX_STYLESHEET_BYTES = 2 * 1024 * 1024;
+const MAX_SCRIPT_BYTES = 5 * 1024 * 1024;
+const MAX_SCRIPTS_PER_PAGE = 150;
+const MAX_SCRIPT_BYTES_PER_PAGE = 20 * 1024 * 1024;
+
+const CACHE_NAME = 'baseline-resources';
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+async function hashURL(url) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// UTF-8 size, as the limits are in bytes while string lengths count UTF-16 code units
+function byteLength(text) {
+  return new Blob([text]).size;
+}
+
+function isExpired(response) {
+  return Date.now() - Number(response.headers.get('x-cached-at')) >= CACHE_TTL;
+}
+
+function isFetchable(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export class ResourceFetcher {
+  constructor() {
+    // Fetches in flight keyed by URL, shared across tabs; settled ones are served by the cache
+    this.requests = new Map();
+    this.lastPruned = 0;
+  }
+
+  fetchText(url, { maxBytes = MAX_STYLESHEET_BYTES } = {}) {
+    if (!isFetchable(url)) {
+      return Promise.reject(new Error('Only http(s) URLs can be fetched'));
+    }
+    if (!this.requests.has(url)) {
+      const request = this.load(url, maxBytes).finally(() => this.requests.delete(url));
+      this.requests.set(url, request);
+    }
+    return this.requests.get(url);
+  }
+
+  // Serve from the persistent cache (keyed by URL hash) so restarts of the worker don't refetch
+  async load(url, maxBytes) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = `https://cache.invalid/${await hashURL(url)}`;
+    this.prune(cache);
+
+    const cached = await cache.match(key);
+    if (cached && !isExpired(cached)) {
+      return cached.text();
+    }
+
+    const text = await this.download(url, maxBytes);
+    cache.put(key, new Response(text, { headers: { 'x-cached-at': String(Date.now()) } })).catch(() => {});
+    return text;
+  }
+
+  // Drop expired entries of every URL, at most once per CACHE_TTL
+  async prune(cache) {
+    if (Date.now() - this.lastPruned < CACHE_TTL) return;
+    this.lastPruned = Date.now();
+    try {
+      const requests = await cache.keys();
+      for (const request of requests) {
+        const response = await cache.match(request);
+        if (!response || isExpired(response)) {
+          await cache.delete(request);
+        }
+      }
+    } catch (error) {
+      console.debug('Could not prune the resource cache:', error);
+    }
+  }
+
+  async download(url, maxBytes) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`Request failed: ${response.status}`);
+    }
+
+    const length = Number(response.headers.get('content-length'));
+    if (length > maxBytes) {
+      throw new Error(`Too large (${length} bytes)`);
+    }
+
+    // Content-Length is optional and counts compressed bytes; check the body itself too
+    const body = await response.blob();
+    if (body.size > maxBytes) {
+      throw new Error(`Too large (${body.size} bytes)`);
+    }
+    return body.text();
+  }
+
+  // Settle every URL, reporting failures per entry instead of rejecting the batch
+  async fetchAll(urls, options) {
+    return Promise.all(urls.map(async url => {
+      try {
+        return { url, text: await this.fetchText(url, options) };
+      } catch (error) {
+        return { url, error: error.message };
+      }
+    }));
+  }
+
+  // Fetch scripts and everything they statically or dynamically import, within per-page limits
+  async fetchScripts(urls) {
+    const results = [];
+    const seen = new Set(urls);
+    let queue = [...urls];
+    let totalBytes = 0;
+
+    while (queue.length > 0) {
+      const batch = queue.splice(0, MAX_SCRIPTS_PER_PAGE - results.length);
+      const fetched = await this.fetchAll(batch, { maxBytes: MAX_SCRIPT_BYTES });
+
+      fetched.forEach(result => {
+        const size = result.text === undefined ? 0 : byteLength(result.text);
+        if (totalBytes + size > MAX_SCRIPT_BYTES_PER_PAGE) {
+          result = { url: result.url, error: 'Page script budget exceeded' };
+        }
+        results.push(result);
+        if (result.text === undefined) return;
+
+        totalBytes += size;
+        findImportSpecifiers(result.text).forEach(specifier => {
+          const resolved = resolveSpecifier(specifier, result.url);
+          if (resolved && !seen.has(resolved)) {
+            seen.add(resolved);
+            queue.push(resolved);
+          }
+        });
+      });
+
+      if (results.length >= MAX_SCRIPTS_PER_PAGE) {
+        queue.forEach(url => results.push({ url, error: 'Page script limit reached' }));
+        queue = [];
+      }
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,165 @@
+// scan-history.js - Opt-in persistent scan history in IndexedDB, keyed by origin + path
+// Used from the background worker. Scans of the same document (e.g. the first pass and the
+// update after cross-origin resources arrive) overwrite each other; a new page load adds a scan.
+
+const DB_NAME = 'baseline-history';
+const DB_VERSION = 1;
+const STORE = 'scans';
+const MAX_SCANS_PER_PAGE = 20;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// History is per page, ignoring query strings and fragments
+export function pageKey(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+// Keep only what a diff needs, so years of history stay small
+function compactFeature(feature) {
+  return {
+    id: feature.id,
+    name: feature.name,
+    type: feature.type,
+    webFeatureId: feature.webFeatureId,
+    status: feature.baseline?.status || 'unknown',
+    compliant: feature.compliance?.compliant ?? null
+  };
+}
+
+// What changed between two scans of a page
+export function diffScans(previous, current) {
+  const before = new Map((previous?.features || []).map(f => [f.id, f]));
+  const after = new Map((current?.features || []).map(f => [f.id, f]));
+
+  const added = Array.from(after.values()).filter(f => !before.has(f.id));
+  const removed = Array.from(before.values()).filter(f => !after.has(f.id));
+  const changed = Array.from(after.values())
+    .filter(f => before.has(f.id))
+    .map(f => ({ ...f, previousStatus: before.get(f.id).status, previousCompliant: before.get(f.id).compliant }))
+    .filter(f => f.status !== f.previousStatus || f.compliant !== f.previousCompliant);
+
+  return { added, removed, changed };
+}
+
+export class ScanHistory {
+  constructor() {
+    this.db = null;
+    // Writes run one at a time so two updates of the same document can't both add a scan
+    this.writes = Promise.resolve();
+  }
+
+  open() {
+    if (!this.db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('page', ['page', 'timestamp']);
+      };
+      this.db = promisify(request).catch(error => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  // Scans of a page, newest first
+  async getScans(page, limit = MAX_SCANS_PER_PAGE) {
+    const db = await this.open();
+    const range = IDBKeyRange.bound([page, 0], [page, Infinity]);
+    const scans = await promisify(db.transaction(STORE).objectStore(STORE).index('page').getAll(range));
+    return scans.reverse().slice(0, limit);
+  }
+
+  record(scan) {
+    const task = this.writes.then(() => this.write(scan));
+    this.writes = task.catch(() => {});
+    return task;
+  }
+
+  async write({ url, title, target, documentId, features, timestamp = Date.now() }) {
+    const page = pageKey(url);
+    if (!page) return null;
+
+    const [latest] = await this.getScans(page, 1);
+    const scan = { page, url, title, target, documentId, timestamp, features: features.map(compactFeature) };
+    if (latest && documentId && latest.documentId === documentId) {
+      scan.id = latest.id;
+      scan.timestamp = latest.timestamp;
+    }
+
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    transaction.objectStore(STORE).put(scan);
+    await transactionDone(transaction);
+
+    await this.prune(page);
+    return scan;
+  }
+
+  async prune(page) {
+    const scans = await this.getScans(page, Infinity);
+    const stale = scans.slice(MAX_SCANS_PER_PAGE);
+    if (stale.length === 0) return;
+
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    stale.forEach(scan => transaction.objectStore(STORE).delete(scan.id));
+    await transactionDone(transaction);
+  }
+
+  // Latest scan of the page and how it differs from the one before
+  async getSummary(url) {
+    const page = pageKey(url);
+    if (!page) return { page: null, scans: [], diff: null };
+
+    const scans = await this.getScans(page);
+    const [current, previous] = scans;
+    return {
+      page,
+      scans: scans.map(scan => ({
+        id: scan.id,
+        timestamp: scan.timestamp,
+        featureCount: scan.features.length,
+        violating: scan.features.filter(f => f.compliant === false).length
+      })),
+      previousTimestamp: previous?.timestamp ?? null,
+      diff: current && previous ? diffScans(previous, current) : null
+    };
+  }
+
+  // Forget one page, or everything when no URL is given; URLs without history keep the rest
+  async clear(url) {
+    const page = url === undefined ? null : pageKey(url);
+    if (url !== undefined && !page) return;
+    const scans = page ? await this.getScans(page, Infinity) : null;
+
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    if (scans) {
+      scans.forEach(scan => store.delete(scan.id));
+    } else {
+      store.clear();
+    }
+    await transactionDone(transaction);
+  }
+}
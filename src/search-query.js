@@ -0,0 +1,96 @@
+// search-query.js - Builds webstatus.dev search queries from the popup's text and filter chips,
+// and ranks autocomplete suggestions
+// Filters are { status: [], year: [], browser: [], group: [] }. Chips in one category are
+// alternatives (OR), categories narrow each other (AND), as on webstatus.dev.
+
+export const STATUS_FILTERS = {
+  limited: 'Limited',
+  newly: 'Newly',
+  widely: 'Widely'
+};
+
+// The spec groups with the most features
+export const GROUP_FILTERS = {
+  css: 'CSS',
+  'html-elements': 'HTML elements',
+  selectors: 'Selectors',
+  javascript: 'JavaScript',
+  forms: 'Forms',
+  layout: 'Layout',
+  'web-components': 'Web components',
+  'progressive-web-app': 'PWA'
+};
+
+// Baseline began with the browsers of 2015
+const FIRST_BASELINE_YEAR = 2015;
+
+export function emptyFilters() {
+  return { status: [], year: [], browser: [], group: [] };
+}
+
+// [value, label] pairs, newest first
+export function yearFilters(now = new Date()) {
+  const years = [];
+  for (let year = now.getFullYear(); year >= FIRST_BASELINE_YEAR; year--) {
+    years.push([String(year), String(year)]);
+  }
+  return years;
+}
+
+function toTerm(category, value) {
+  switch (category) {
+    case 'status':
+      return `baseline_status:${value}`;
+    case 'year':
+      return `baseline_date:${value}-01-01..${value}-12-31`;
+    case 'browser':
+      return `available_on:${value}`;
+    case 'group':
+      return `group:${value}`;
+    default:
+      throw new Error(`Unknown filter "${category}"`);
+  }
+}
+
+export function countFilters(filters) {
+  return Object.values(filters).reduce((count, values) => count + values.length, 0);
+}
+
+// Text is passed through, so `name:grid -baseline_status:limited` still works; a text with
+// OR is parenthesized so the filters apply to every alternative
+export function buildSearchQuery(text, filters) {
+  const parts = [];
+  const trimmed = text.trim();
+  if (trimmed) {
+    parts.push(/\bOR\b/.test(trimmed) ? `(${trimmed})` : trimmed);
+  }
+  Object.entries(filters).forEach(([category, values]) => {
+    if (values.length === 0) return;
+    const terms = values.map(value => toTerm(category, value));
+    parts.push(terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0]);
+  });
+  return parts.join(' ');
+}
+
+// Features whose name or id matches the text: prefixes first, then word starts, then anywhere
+export function suggestFeatures(features, text, limit = 8) {
+  const needle = text.trim().toLowerCase();
+  // Field syntax is a query, not a name
+  if (needle.length < 2 || /[:()"]/.test(needle)) return [];
+
+  const rank = (feature) => {
+    const name = feature.name.toLowerCase();
+    const id = feature.feature_id;
+    if (name.startsWith(needle) || id.startsWith(needle)) return 0;
+    if (name.split(/[\s:()<>.-]+/).some(word => word.startsWith(needle)) || id.includes(`-${needle}`)) return 1;
+    if (name.includes(needle) || id.includes(needle)) return 2;
+    return null;
+  };
+
+  return features
+    .map(feature => ({ feature, rank: rank(feature) }))
+    .filter(({ rank }) => rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.feature.name.length - b.feature.name.length)
+    .slice(0, limit)
+    .map(({ feature }) => feature);
+}
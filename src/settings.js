@@ -0,0 +1,39 @@
+// settings.js - User preferences, persisted in chrome.storage.local
+
+import { DEFAULT_TARGET } from './target-policy.js';
+
+export const DEFAULT_WEBSTATUS_URL = 'https://api.webstatus.dev';
+
+export const DEFAULT_SETTINGS = {
+  // Inject page-tracer.js to count real calls to traced APIs (applies to pages loaded afterwards)
+  traceMode: false,
+  // Browser support target features are checked against (see target-policy.js)
+  target: DEFAULT_TARGET,
+  // Keep timestamped scans per page in IndexedDB to diff against later visits
+  history: false,
+  // Reviewed features left out of the badge, by site and feature (see suppressions.js)
+  suppressions: [],
+  // Refresh Baseline data from webstatus.dev (see webstatus-service.js); the bundled snapshot otherwise
+  liveData: true,
+  // API base URL, e.g. http://localhost:8787 for scripts/mock-webstatus.js
+  webStatusURL: DEFAULT_WEBSTATUS_URL
+};
+
+export async function loadSettings() {
+  const { settings } = await chrome.storage.local.get('settings');
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+export async function saveSettings(changes) {
+  const settings = { ...await loadSettings(), ...changes };
+  await chrome.storage.local.set({ settings });
+  return settings;
+}
+
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+      callback({ ...DEFAULT_SETTINGS, ...changes.settings.newValue });
+    }
+  });
+}
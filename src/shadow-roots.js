@@ -0,0 +1,23 @@
+// shadow-roots.js - Finds the open shadow roots of a live document, so detection can see
+// inside web components. Closed roots (including the inspector overlay's) stay out of reach.
+
+// Every open shadow root under `root`, including roots nested inside other shadow trees
+export function findShadowRoots(root) {
+  const roots = [];
+  const walk = (node) => {
+    node.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) {
+        roots.push(el.shadowRoot);
+        walk(el.shadowRoot);
+      }
+    });
+  };
+  walk(root);
+  return roots;
+}
+
+// The shadow root an element lives in, or null for elements in the document tree
+export function getShadowRoot(el) {
+  const root = el.getRootNode();
+  return root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root : null;
+}
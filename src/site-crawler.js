@@ -0,0 +1,234 @@
+// site-crawler.js - "Scan site": walks same-origin links in background tabs and builds a
+// site-wide feature inventory. Runs in the background worker, one page at a time.
+//
+// Progress is published to chrome.storage.session (`crawl_state`) and the finished inventory
+// to chrome.storage.local (`crawl_report`), so the crawl page can follow along and reopen it.
+
+import { resolveBaseline } from './resolve-baseline.js';
+import { describeTarget, evaluateFeatures } from './target-policy.js';
+import { mergeFrameResults } from './frame-results.js';
+import { compilePatterns } from './url-patterns.js';
+import { applySuppressions } from './suppressions.js';
+import { toWebFeatureId } from './feature-rules.js';
+
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 2,
+  maxPages: 25,
+  include: '',
+  exclude: ''
+};
+
+const PAGE_LOAD_TIMEOUT = 30000;
+const COLLECT_TIMEOUT = 30000;
+const COLLECT_RETRY_DELAY = 500;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function normalizeURL(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+      if (error) reject(error); else resolve();
+    };
+    const timeout = setTimeout(() => finish(new Error('Page load timed out')), PAGE_LOAD_TIMEOUT);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') finish();
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // The load may already have finished before the listener was attached
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') finish();
+    }).catch(finish);
+  });
+}
+
+// Reject if `promise` has not settled within `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// The content script registers its listener once the DOM is ready; retry until it answers.
+// An answer can wait on the page's remaining analysis, so each attempt shares the deadline.
+async function collectPage(tabId) {
+  const deadline = Date.now() + COLLECT_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      const response = await withTimeout(
+        chrome.tabs.sendMessage(tabId, { type: 'COLLECT_PAGE' }, { frameId: 0 }),
+        deadline - Date.now(),
+        'Content script did not respond'
+      );
+      if (response) return response;
+    } catch {
+      // Not injected yet, or no answer before the deadline
+    }
+    await delay(COLLECT_RETRY_DELAY);
+  }
+  throw new Error('Content script did not respond');
+}
+
+export class SiteCrawler {
+  constructor({ frameResults, webStatus }) {
+    // Subframes of crawled pages report to the background like any other tab
+    this.frameResults = frameResults;
+    // Pages resolve against the same cached webstatus.dev data as the badge
+    this.webStatus = webStatus;
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  async getState() {
+    const { crawl_state: state } = await chrome.storage.session.get('crawl_state');
+    const { crawl_report: report } = await chrome.storage.local.get('crawl_report');
+    return { state: state || null, report: report || null };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async start(startUrl, options, target, suppressions = []) {
+    if (this.running) {
+      throw new Error('A crawl is already running');
+    }
+
+    const origin = new URL(startUrl).origin;
+    const settings = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    const include = compilePatterns(settings.include);
+    const exclude = compilePatterns(settings.exclude);
+    const allowed = (url) => new URL(url).origin === origin &&
+      (include.length === 0 || include.some(pattern => pattern.test(url))) &&
+      !exclude.some(pattern => pattern.test(url));
+
+    this.running = true;
+    this.cancelled = false;
+
+    const first = normalizeURL(startUrl);
+    const queue = [{ url: first, depth: 0 }];
+    const seen = new Set([first]);
+    const pages = [];
+    const inventory = new Map();
+    const state = {
+      status: 'running',
+      startUrl: first,
+      options: settings,
+      scanned: 0,
+      queued: 1,
+      current: null,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    const publish = () => chrome.storage.session.set({ crawl_state: { ...state } }).catch(() => {});
+    await publish();
+
+    try {
+      while (queue.length > 0 && pages.length < settings.maxPages && !this.cancelled) {
+        const { url, depth } = queue.shift();
+        state.current = url;
+        state.queued = queue.length;
+        await publish();
+
+        const page = await this.scanPage(url, depth, target, suppressions);
+        pages.push(page);
+        state.scanned = pages.length;
+
+        page.features.forEach(feature => {
+          if (!inventory.has(feature.id)) {
+            inventory.set(feature.id, { ...feature, pages: [] });
+          }
+          const entry = inventory.get(feature.id);
+          entry.pages.push(page.url);
+          // Suppressed site-wide only if every page that uses it suppresses it
+          if (!feature.suppression) delete entry.suppression;
+        });
+
+        if (depth < settings.maxDepth) {
+          page.links.forEach(link => {
+            const next = normalizeURL(link);
+            if (next && !seen.has(next) && allowed(next)) {
+              seen.add(next);
+              queue.push({ url: next, depth: depth + 1 });
+            }
+          });
+        }
+      }
+
+      state.status = this.cancelled ? 'cancelled' : 'done';
+    } catch (error) {
+      console.log('Crawl error:', error);
+      state.status = 'failed';
+      state.error = error.message;
+    } finally {
+      this.running = false;
+      state.current = null;
+      state.queued = queue.length;
+      state.finishedAt = Date.now();
+    }
+
+    const report = {
+      startUrl: first,
+      options: settings,
+      target: describeTarget(target),
+      startedAt: state.startedAt,
+      finishedAt: state.finishedAt,
+      status: state.status,
+      pages: pages.map(({ features, links, ...page }) => ({
+        ...page,
+        featureCount: features.length,
+        violating: features.filter(f => f.compliance?.compliant === false && !f.suppression).length
+      })),
+      features: Array.from(inventory.values())
+        .map(({ locations, locators, guards, evidence, calls, frames, elementCount, ...feature }) => feature)
+        .sort((a, b) => b.pages.length - a.pages.length || (a.name || a.id).localeCompare(b.name || b.id))
+    };
+
+    await chrome.storage.local.set({ crawl_report: report });
+    await publish();
+    return report;
+  }
+
+  // Load one page in an inactive tab and let the content script analyze it
+  async scanPage(url, depth, target, suppressions) {
+    let tabId = null;
+    try {
+      const tab = await chrome.tabs.create({ url, active: false });
+      tabId = tab.id;
+      await waitForTabLoad(tabId);
+      const result = await collectPage(tabId);
+      // The top frame's complete results, plus whatever its subframes have reported so far
+      const frames = {
+        ...await this.frameResults.get(tabId),
+        0: { frameId: 0, url: result.url, features: result.features || [] }
+      };
+      const merged = mergeFrameResults(frames).features;
+      const records = await this.webStatus.getCached(merged.map(feature => toWebFeatureId(feature.id)));
+      const features = applySuppressions(evaluateFeatures(resolveBaseline(merged, records), target), suppressions, url);
+      // Pages whose analysis partly failed keep what was found, with the error
+      return { url, title: result.title, depth, features, links: result.links || [], ...(result.error ? { error: result.error } : {}) };
+    } catch (error) {
+      return { url, depth, features: [], links: [], error: error.message };
+    } finally {
+      if (tabId !== null) {
+        chrome.tabs.remove(tabId).catch(() => {});
+      }
+    }
+  }
+}
@@ -0,0 +1,156 @@
+// source-locations.js - Resolves detected locations to positions in the page's files
+// CSS hits only know their stylesheet and selector, so the rule is looked up in the sheet's
+// text. Positions in bundled or compiled files are mapped back to the original sources through
+// the file's source map, when it has one. Lines are 1-based and columns 0-based, like acorn's.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const SOURCE_MAPPING_URL = /[#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+
+// === Source Maps ===
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+// One array per generated line of [generatedColumn, sourceIndex, originalLine, originalColumn]
+// segments with absolute values, in column order
+export function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0;
+    return line.split(',').filter(Boolean).map(segment => {
+      const values = decodeVLQ(segment);
+      values.forEach((value, index) => {
+        if (index < 4) state[index] += value;
+      });
+      return values.length >= 4 ? [...state] : null;
+    }).filter(Boolean);
+  });
+}
+
+// The original position behind a generated one, from the closest mapping at or before it
+function originalPosition(sourceMap, line, column) {
+  const segments = sourceMap.lines[line - 1] || [];
+  let match = null;
+  for (const segment of segments) {
+    if (segment[0] > column) break;
+    match = segment;
+  }
+  if (!match) return null;
+  return { url: sourceMap.sources[match[1]], line: match[2] + 1, column: match[3] };
+}
+
+// The last sourceMappingURL comment wins, as in the browser
+function findSourceMapURL(text) {
+  let url = null;
+  for (const [, found] of text.matchAll(SOURCE_MAPPING_URL)) {
+    url = found;
+  }
+  return url;
+}
+
+// === CSS Rules ===
+// Selector text from the CSSOM is normalized; match it against the source with any whitespace
+function selectorPattern(selector) {
+  const source = selector.trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s*(\\\+|>|~|,)\s*/g, '\\s*$1\\s*')
+    .replace(/\s+/g, '\\s+');
+  return new RegExp(`(^|[{};\\s/])(${source})\\s*[{,]`);
+}
+
+export function findRulePosition(text, selector) {
+  const match = selectorPattern(selector).exec(text);
+  if (!match) return null;
+
+  const index = match.index + match[1].length;
+  const before = text.slice(0, index);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: index - lineStart };
+}
+
+// === Resolver ===
+// `loadText(url)` returns a file's content, e.g. from the inspected page's resources
+export class SourceResolver {
+  constructor(loadText) {
+    this.loadText = loadText;
+    this.texts = new Map();
+    this.sourceMaps = new Map();
+  }
+
+  // Files change when the page reloads
+  clear() {
+    this.texts.clear();
+    this.sourceMaps.clear();
+  }
+
+  text(url) {
+    if (!this.texts.has(url)) {
+      this.texts.set(url, Promise.resolve(this.loadText(url)).catch(() => null));
+    }
+    return this.texts.get(url);
+  }
+
+  sourceMap(url) {
+    if (!this.sourceMaps.has(url)) {
+      this.sourceMaps.set(url, this.loadSourceMap(url).catch(error => {
+        console.debug(`Cannot load source map for ${url}:`, error);
+        return null;
+      }));
+    }
+    return this.sourceMaps.get(url);
+  }
+
+  async loadSourceMap(url) {
+    const text = await this.text(url);
+    const mapURL = text && findSourceMapURL(text);
+    if (!mapURL) return null;
+
+    const resolved = new URL(mapURL, url).href;
+    const response = await fetch(resolved);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const map = await response.json();
+    // Index maps (`sections`) are rare outside of some bundler setups
+    if (!map.mappings) return null;
+
+    // Sources are relative to the map, or to the file itself when the map is inlined
+    const base = resolved.startsWith('data:') ? url : resolved;
+    const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    return {
+      lines: decodeMappings(map.mappings),
+      sources: map.sources.map(source => new URL(`${root}${source}`, base).href)
+    };
+  }
+
+  // `{ url, line, column, original? }` for a location in a file the page loaded, or null for
+  // inline sources. `line` is null when the rule could not be found in the file's text.
+  async resolve(location) {
+    if (!/^(https?|file):/.test(location.source)) return null;
+
+    const url = location.source;
+    let { line = null, column = 0 } = location;
+    if (!line && location.selector) {
+      const text = await this.text(url);
+      const position = text && findRulePosition(text, location.selector);
+      if (position) ({ line, column } = position);
+    }
+    if (!line) return { url, line: null, column: null };
+
+    const sourceMap = await this.sourceMap(url);
+    const original = sourceMap ? originalPosition(sourceMap, line, column) : null;
+    return { url, line, column, ...(original ? { original } : {}) };
+  }
+}
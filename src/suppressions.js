@@ -0,0 +1,53 @@
+// suppressions.js - Features the team has reviewed and accepted on some sites
+// Suppressions live in the settings (`settings.suppressions`) as
+//   { id, scope, feature, note, expires, createdAt }
+// `scope` is a URL pattern where `*` matches anything; a bare origin covers every page on it and
+// an empty scope every site. Scopes without a scheme, like `app.example.com`, match any scheme. `feature` is a local rule id or a web-features id. `expires` is an
+// optional YYYY-MM-DD date, the last day the suppression applies. Suppressed features keep their
+// verdict but are left out of the badge, and the popup and reports list them separately.
+
+import { compilePatterns } from './url-patterns.js';
+
+function scopePattern(scope) {
+  let text = (scope || '').trim() || '*';
+  if (text !== '*' && !text.includes('://')) text = `*://${text}`;
+  return /^([a-z][\w+.-]*|\*):\/\/(\*\.)?[^/*]+$/i.test(text) ? `${text}/*` : text;
+}
+
+export function matchesScope(scope, url) {
+  return compilePatterns(scopePattern(scope)).some(pattern => pattern.test(url || ''));
+}
+
+// Through the end of the expiry day, in local time
+export function isExpired(suppression, now = Date.now()) {
+  return Boolean(suppression.expires) && new Date(`${suppression.expires}T23:59:59.999`).getTime() < now;
+}
+
+export function findSuppression(suppressions, feature, url, now = Date.now()) {
+  return (suppressions || []).find(suppression =>
+    [feature.id, feature.webFeatureId].includes(suppression.feature) &&
+    !isExpired(suppression, now) &&
+    matchesScope(suppression.scope, url)
+  ) || null;
+}
+
+// Annotate features on a page with the `suppression` that applies to them, if any
+export function applySuppressions(features, suppressions, url, now = Date.now()) {
+  return features.map(({ suppression: previous, ...feature }) => {
+    const suppression = findSuppression(suppressions, feature, url, now);
+    if (!suppression) return feature;
+    const { id, scope, note, expires } = suppression;
+    return { ...feature, suppression: { id, scope, note, expires } };
+  });
+}
+
+export function createSuppression({ scope, feature, note, expires }) {
+  return {
+    id: crypto.randomUUID(),
+    scope: (scope || '').trim(),
+    feature: feature.trim(),
+    note: (note || '').trim(),
+    expires: expires || null,
+    createdAt: Date.now()
+  };
+}
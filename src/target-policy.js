@@ -0,0 +1,174 @@
+// target-policy.js - Evaluates detected features against the team's browser support target
+//
+// Target shapes (stored in settings.target):
+//   { type: 'widely' }                         Baseline Widely available
+//   { type: 'newly' }                          Baseline Newly available (the default)
+//   { type: 'year', year: 2023 }               Baseline 2023: newly available in 2023 or earlier
+//   { type: 'browsers', browsers: { chrome: '110', safari: '16.4' } }
+//   { type: 'query', query: 'chrome >= 110, safari >= 16.4, firefox esr' }
+//
+// Features whose every use sits behind a feature test (`usage.unguarded === 0`) are progressive
+// enhancement: they pass with `guarded: true`, keeping the reasons they would otherwise fail with.
+
+export const BROWSERS = {
+  chrome: 'Chrome',
+  chrome_android: 'Chrome Android',
+  edge: 'Edge',
+  firefox: 'Firefox',
+  firefox_android: 'Firefox Android',
+  safari: 'Safari',
+  safari_ios: 'Safari iOS'
+};
+
+// browserslist names for the same browsers
+const BROWSER_ALIASES = {
+  and_chr: 'chrome_android',
+  and_ff: 'firefox_android',
+  ios: 'safari_ios',
+  ios_saf: 'safari_ios'
+};
+
+// Current Firefox Extended Support Release, for `firefox esr`. Neither web-features nor
+// webstatus.dev says which release is the ESR, so bump this by hand when a new ESR line
+// starts (about once a year, see https://whattrainisitnow.com/calendar/).
+export const FIREFOX_ESR_VERSION = '140';
+
+export const DEFAULT_TARGET = { type: 'newly' };
+
+function compareVersions(a, b) {
+  const left = String(a).replace(/[^\d.]/g, '').split('.').map(Number);
+  const right = String(b).replace(/[^\d.]/g, '').split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+function toBrowserId(name) {
+  const id = name.toLowerCase().replace(/\s+/g, '_');
+  const browser = BROWSER_ALIASES[id] || id;
+  if (!BROWSERS[browser]) {
+    throw new Error(`Unknown browser "${name}"`);
+  }
+  return browser;
+}
+
+// A browserslist-like subset: comma-separated `<browser> >= <version>`, `<browser> <version>`,
+// `firefox esr`, `baseline <year>`, `baseline widely available` and `baseline newly available`
+export function parseTargetQuery(query) {
+  const browsers = {};
+  let baseline = null;
+
+  query.split(/,|\bor\b/i).map(part => part.trim()).filter(Boolean).forEach(part => {
+    let match;
+    if ((match = part.match(/^baseline\s+(\d{4})$/i))) {
+      baseline = { type: 'year', year: Number(match[1]) };
+    } else if ((match = part.match(/^baseline\s+(widely|newly)(\s+available)?$/i))) {
+      baseline = { type: match[1].toLowerCase() };
+    } else if ((match = part.match(/^firefox\s+esr$/i))) {
+      browsers.firefox = FIREFOX_ESR_VERSION;
+    } else if ((match = part.match(/^([a-z_ ]+?)\s*(>=)?\s*(\d+(\.\d+)*)$/i))) {
+      browsers[toBrowserId(match[1])] = match[3];
+    } else {
+      throw new Error(`Cannot parse "${part}"`);
+    }
+  });
+
+  if (!baseline && Object.keys(browsers).length === 0) {
+    throw new Error('Query is empty');
+  }
+  return { baseline, browsers };
+}
+
+// Normalize any stored target into a Baseline requirement plus minimum browser versions
+function resolveTarget(target = DEFAULT_TARGET) {
+  switch (target.type) {
+    case 'query':
+      return parseTargetQuery(target.query || '');
+    case 'browsers':
+      return { baseline: null, browsers: target.browsers || {} };
+    default:
+      return { baseline: target, browsers: {} };
+  }
+}
+
+export function describeTarget(target = DEFAULT_TARGET) {
+  try {
+    const { baseline, browsers } = resolveTarget(target);
+    const parts = [];
+    if (baseline?.type === 'year') parts.push(`Baseline ${baseline.year}`);
+    if (baseline?.type === 'widely') parts.push('Baseline Widely available');
+    if (baseline?.type === 'newly') parts.push('Baseline Newly available');
+    Object.entries(browsers).forEach(([browser, version]) => {
+      parts.push(`${BROWSERS[browser]} ≥ ${version}`);
+    });
+    return parts.join(', ') || 'No target';
+  } catch (error) {
+    return `Invalid target (${error.message})`;
+  }
+}
+
+function checkBaseline(baseline, requirement) {
+  const status = baseline?.status;
+  if (requirement.type === 'widely') {
+    return status === 'widely' ? null : `Not Baseline Widely available (${status || 'limited'})`;
+  }
+  if (requirement.type === 'year') {
+    const year = baseline?.low_date ? Number(baseline.low_date.slice(0, 4)) : null;
+    if (year === null || status === 'limited') return `Not part of Baseline ${requirement.year}`;
+    return year <= requirement.year ? null : `Baseline ${year}, after ${requirement.year}`;
+  }
+  return status === 'widely' || status === 'newly' ? null : 'Not Baseline (limited availability)';
+}
+
+function checkBrowser(implementations, browser, minimum) {
+  const implementation = implementations?.[browser];
+  if (implementation?.status === 'partial') return `Only partly supported in ${BROWSERS[browser]}`;
+  const version = implementation?.version;
+  if (!version) return `Not supported in ${BROWSERS[browser]}`;
+  return compareVersions(version, minimum) <= 0 ? null : `Needs ${BROWSERS[browser]} ${version}`;
+}
+
+// Every use in the page's sources is behind @supports, a feature test or try/catch
+export function isGuardedUsage(feature) {
+  return feature.usage?.guarded > 0 && feature.usage.unguarded === 0;
+}
+
+function evaluateResolved(feature, { baseline, browsers }) {
+  if (!feature.baseline) {
+    return { compliant: null, reasons: ['No Baseline data'] };
+  }
+
+  const reasons = [];
+  if (baseline) {
+    reasons.push(checkBaseline(feature.baseline, baseline));
+  }
+  Object.entries(browsers).forEach(([browser, minimum]) => {
+    reasons.push(checkBrowser(feature.browser_implementations, browser, minimum));
+  });
+
+  const violations = reasons.filter(Boolean);
+  if (violations.length > 0 && isGuardedUsage(feature)) {
+    return { compliant: true, guarded: true, reasons: violations };
+  }
+  return { compliant: violations.length === 0, reasons: violations };
+}
+
+// { compliant: true|false|null, guarded?, reasons } for one feature carrying Baseline data.
+// A guarded pass keeps the reasons the feature would fail with unguarded.
+// Throws when the target itself is invalid.
+export function evaluateFeature(feature, target = DEFAULT_TARGET) {
+  return evaluateResolved(feature, resolveTarget(target));
+}
+
+// Annotate resolved features with `compliance`; an invalid target leaves them unknown
+export function evaluateFeatures(features, target = DEFAULT_TARGET) {
+  let resolved;
+  try {
+    resolved = resolveTarget(target);
+  } catch (error) {
+    return features.map(feature => ({ ...feature, compliance: { compliant: null, reasons: [error.message] } }));
+  }
+  return features.map(feature => ({ ...feature, compliance: evaluateResolved(feature, resolved) }));
+}
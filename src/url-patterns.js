@@ -0,0 +1,10 @@
+// url-patterns.js - Wildcard URL patterns shared by the site crawler and suppressions
+
+// Wildcard patterns (`*` matches anything), one per line or comma-separated
+export function compilePatterns(text) {
+  return String(text || '')
+    .split(/[\n,]/)
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+}
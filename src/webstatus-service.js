@@ -0,0 +1,342 @@
+// webstatus-service.js - Background-owned client for the webstatus.dev API
+// The popup, content script and badge all get Baseline data from the background worker, which
+// answers from one cache in chrome.storage.local. Lookups of single features are batched into
+// `id:a OR id:b` queries; responses are kept for CACHE_TTL and then revalidated with their
+// ETag. Requests are spaced out, time out, and are retried with exponential backoff (honoring
+// Retry-After). When the API can't be reached the bundled snapshot answers instead.
+//
+// Live records only replace the Baseline status and browser versions of the snapshot's record,
+// so MDN and caniuse links and sub-feature counts keep working.
+
+import { baselineDataset } from './baseline-data.js';
+import { DEFAULT_WEBSTATUS_URL } from './settings.js';
+
+const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const REQUEST_TIMEOUT = 10 * 1000;
+// Popup searches get one quick attempt outside the request queue, so an offline popup falls back
+// to the snapshot at once
+const INTERACTIVE_TIMEOUT = 1500;
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+// After retries run out, go straight to cached data for a while instead of waiting on the API
+const OUTAGE_COOLDOWN = 5 * 60 * 1000;
+// Spacing between requests, so a page full of frames doesn't burst the API
+const MIN_REQUEST_INTERVAL = 250;
+// Lookups arriving within this window share a request
+const BATCH_WINDOW = 30;
+const MAX_IDS_PER_REQUEST = 25;
+const MAX_CACHED_RESPONSES = 50;
+const DEFAULT_PAGE_SIZE = 25;
+
+// Storage keys: one per cached response, an index of them for eviction, and the feature records
+const RESPONSE_PREFIX = 'webstatus:response:';
+const RESPONSE_INDEX_KEY = 'webstatus:responses';
+const FEATURES_KEY = 'webstatus:features';
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+class RequestError extends Error {
+  constructor(message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return this.status === null || RETRYABLE_STATUS.has(this.status);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, error) {
+  const exponential = RETRY_BASE_DELAY * 2 ** attempt;
+  const jitter = Math.random() * RETRY_BASE_DELAY;
+  return Math.min(error.retryAfter ?? exponential + jitter, MAX_RETRY_DELAY);
+}
+
+function normalizeBaseURL(baseURL) {
+  return baseURL.replace(/\/+$/, '');
+}
+
+// A live record layered over the bundled one
+export function mergeRecord(local, live) {
+  if (!live) return local;
+  if (!local) return live;
+
+  const implementations = { ...local.browser_implementations };
+  Object.entries(live.browser_implementations || {}).forEach(([browser, implementation]) => {
+    implementations[browser] = { ...implementations[browser], ...implementation };
+  });
+  return {
+    ...local,
+    name: live.name || local.name,
+    baseline: live.baseline ? { ...live.baseline } : local.baseline,
+    browser_implementations: implementations
+  };
+}
+
+export class WebStatusService {
+  constructor({ baseURL = DEFAULT_WEBSTATUS_URL, enabled = true, storage = chrome.storage.local } = {}) {
+    this.storage = storage;
+    this.baseURL = normalizeBaseURL(baseURL);
+    this.enabled = enabled;
+    // Requests in flight by URL, so concurrent callers share one
+    this.inflight = new Map();
+    this.queue = Promise.resolve();
+    this.lastRequestAt = 0;
+    this.pendingIds = new Set();
+    this.batch = null;
+    this.features = null;
+    this.unavailableUntil = 0;
+  }
+
+  // Another base URL (e.g. a local mock server) has its own data; start over
+  configure({ baseURL = DEFAULT_WEBSTATUS_URL, enabled = true }) {
+    const normalized = normalizeBaseURL(baseURL);
+    if (normalized !== this.baseURL) {
+      this.baseURL = normalized;
+      this.features = null;
+      this.unavailableUntil = 0;
+      this.storage.remove(FEATURES_KEY).catch(() => {});
+    }
+    this.enabled = enabled;
+  }
+
+  // === Feature Records ===
+  // { [id]: { record, fetchedAt } } for the current base URL
+  async loadFeatures() {
+    if (!this.features) {
+      this.features = this.storage.get(FEATURES_KEY).then(({ [FEATURES_KEY]: stored }) =>
+        (stored?.baseURL === this.baseURL ? stored.entries : {})
+      ).catch(() => ({}));
+    }
+    return this.features;
+  }
+
+  async saveFeatures(entries) {
+    await this.storage.set({ [FEATURES_KEY]: { baseURL: this.baseURL, entries } });
+  }
+
+  // Whatever is cached for the ids, fresh or not, merged over the snapshot; never hits the network
+  async getCached(ids) {
+    const entries = await this.loadFeatures();
+    const records = new Map();
+    ids.forEach(id => {
+      const record = mergeRecord(baselineDataset.get(id), entries[id]?.record);
+      if (record) records.set(id, record);
+    });
+    return records;
+  }
+
+  // Look up expired and missing records in batches; true when new data arrived
+  async refresh(ids) {
+    if (!this.enabled) return false;
+    const entries = await this.loadFeatures();
+    const stale = [...new Set(ids.filter(Boolean))]
+      .filter(id => !entries[id] || Date.now() - entries[id].fetchedAt >= CACHE_TTL);
+    if (stale.length === 0) return false;
+
+    try {
+      await this.lookup(stale);
+      return true;
+    } catch (error) {
+      console.debug('webstatus.dev lookup failed, using cached data:', error.message);
+      return false;
+    }
+  }
+
+  // Up-to-date records for the ids as a Map; ids the API doesn't know keep their snapshot record
+  async getFeatures(ids) {
+    await this.refresh(ids);
+    return this.getCached(ids);
+  }
+
+  // Collect ids for BATCH_WINDOW, then fetch them in groups of MAX_IDS_PER_REQUEST
+  lookup(ids) {
+    ids.forEach(id => this.pendingIds.add(id));
+    if (!this.batch) {
+      this.batch = sleep(BATCH_WINDOW).then(() => {
+        const batchIds = [...this.pendingIds].sort();
+        this.pendingIds.clear();
+        this.batch = null;
+        return this.fetchFeatures(batchIds);
+      });
+    }
+    return this.batch;
+  }
+
+  async fetchFeatures(ids) {
+    const entries = await this.loadFeatures();
+    const fetchedAt = Date.now();
+    const errors = [];
+
+    for (let i = 0; i < ids.length; i += MAX_IDS_PER_REQUEST) {
+      const chunk = ids.slice(i, i + MAX_IDS_PER_REQUEST);
+      try {
+        const query = chunk.map(id => `id:${id}`).join(' OR ');
+        const { body } = await this.request('/v1/features', { q: query, page_size: chunk.length });
+        const found = new Map((body.data || []).map(record => [record.feature_id, record]));
+        // Unknown ids are cached too, so they aren't asked for again until the TTL runs out
+        chunk.forEach(id => {
+          entries[id] = { record: found.get(id) || null, fetchedAt };
+        });
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    await this.saveFeatures(entries);
+    if (errors.length > 0) throw errors[0];
+  }
+
+  // === Search ===
+  // One page of GET /v1/features results, like BaselineDataset.search, plus `source`:
+  // 'live', 'cache' (stale, served because the API failed) or 'snapshot'
+  async search(query, { pageSize = DEFAULT_PAGE_SIZE, pageToken } = {}) {
+    const local = () => ({ ...baselineDataset.search(query, { pageSize, pageToken }), source: 'snapshot' });
+    if (!this.enabled) return local();
+
+    try {
+      const params = { q: query, page_size: pageSize, ...(pageToken ? { page_token: pageToken } : {}) };
+      const { body, stale } = await this.request('/v1/features', params, { allowStale: true, interactive: true });
+      return {
+        data: (body.data || []).map(record => mergeRecord(baselineDataset.get(record.feature_id), record)),
+        metadata: body.metadata || {},
+        source: stale ? 'cache' : 'live'
+      };
+    } catch (error) {
+      console.debug('webstatus.dev search failed, using the bundled snapshot:', error.message);
+      return local();
+    }
+  }
+
+  // === HTTP ===
+  buildURL(path, params) {
+    const url = new URL(path, `${this.baseURL}/`);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, String(value)));
+    return url.href;
+  }
+
+  // { body, stale } from the cache while fresh, otherwise from the API with If-None-Match.
+  // With `allowStale`, a failed request falls back to an expired cache entry. `interactive`
+  // requests skip the queue, aren't retried and time out sooner.
+  async request(path, params, { allowStale = false, interactive = false } = {}) {
+    const url = this.buildURL(path, params);
+    const key = `${RESPONSE_PREFIX}${url}`;
+    const { [key]: cached } = await this.storage.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+      return { body: cached.body, stale: false };
+    }
+
+    if (!this.inflight.has(url)) {
+      const options = interactive ? { attempts: 1, timeout: INTERACTIVE_TIMEOUT, queued: false } : {};
+      this.inflight.set(url, this.fetchWithRetry(url, cached?.etag, options)
+        .then(async ({ body, etag, notModified }) => {
+          const entry = { body: notModified ? cached.body : body, etag: notModified ? cached.etag : etag, fetchedAt: Date.now() };
+          await this.storeResponse(key, entry).catch(error => {
+            console.debug('Cannot cache webstatus.dev response:', error);
+          });
+          return entry.body;
+        })
+        .finally(() => this.inflight.delete(url)));
+    }
+
+    try {
+      return { body: await this.inflight.get(url), stale: false };
+    } catch (error) {
+      if (allowStale && cached) return { body: cached.body, stale: true };
+      throw error;
+    }
+  }
+
+  async storeResponse(key, entry) {
+    const { [RESPONSE_INDEX_KEY]: index = {} } = await this.storage.get(RESPONSE_INDEX_KEY);
+    index[key] = entry.fetchedAt;
+    // Drop the least recently fetched responses beyond the limit
+    const evicted = Object.keys(index)
+      .sort((a, b) => index[b] - index[a])
+      .slice(MAX_CACHED_RESPONSES);
+    evicted.forEach(evictedKey => delete index[evictedKey]);
+
+    await this.storage.set({ [key]: entry, [RESPONSE_INDEX_KEY]: index });
+    if (evicted.length > 0) {
+      await this.storage.remove(evicted);
+    }
+  }
+
+  async fetchWithRetry(url, etag, { attempts = MAX_ATTEMPTS, timeout = REQUEST_TIMEOUT, queued = true } = {}) {
+    if (Date.now() < this.unavailableUntil) {
+      throw new RequestError('webstatus.dev is unavailable');
+    }
+    const task = () => this.fetchOnce(url, etag, timeout);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await (queued ? this.schedule(task) : task());
+      } catch (error) {
+        if (!error.retryable) throw error;
+        if (attempt + 1 >= attempts) {
+          // One quick attempt failing is no sign of an outage
+          if (attempts > 1) this.unavailableUntil = Date.now() + OUTAGE_COOLDOWN;
+          throw error;
+        }
+        const delay = backoffDelay(attempt, error);
+        console.debug(`webstatus.dev request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run requests one at a time, at least MIN_REQUEST_INTERVAL apart
+  schedule(task) {
+    const run = this.queue.then(async () => {
+      const wait = this.lastRequestAt + MIN_REQUEST_INTERVAL - Date.now();
+      if (wait > 0) await sleep(wait);
+      this.lastRequestAt = Date.now();
+      return task();
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async fetchOnce(url, etag, timeoutMs = REQUEST_TIMEOUT) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { Accept: 'application/json', ...(etag ? { 'If-None-Match': etag } : {}) },
+        credentials: 'omit',
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new RequestError(error.name === 'AbortError' ? 'Request timed out' : error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (response.status === 304 && etag) {
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      throw new RequestError(`Request failed: ${response.status}`, {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+    return { body: await response.json(), etag: response.headers.get('etag') };
+  }
+}
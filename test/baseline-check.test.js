@@ -0,0 +1,67 @@
+// baseline-check.test.js - The CLI's thresholds, exit codes and JSON output on fixture files
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = fileURLToPath(new URL('../bin/baseline-check.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/baseline-check/', import.meta.url));
+
+// Resolves with the exit code and output; a failing exit code is a result, not an error
+function run(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI_PATH, ...args], { cwd: FIXTURES }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('exits 0 when every feature meets the threshold', async () => {
+  const { code, stdout } = await run('widely');
+  assert.equal(code, 0);
+  assert.match(stdout, /scanned 2 file\(s\), 2 feature\(s\) detected/);
+  assert.match(stdout, /All features meet the "newly" threshold/);
+});
+
+test('exits 1 when a feature is below the threshold', async () => {
+  const { code, stdout } = await run('limited');
+  assert.equal(code, 1);
+  assert.match(stdout, /✖ limited +Web Share API \(share\) +limited\/share\.js/);
+  assert.match(stdout, /1 feature\(s\) below the "newly" threshold/);
+});
+
+test('compares statuses against --threshold', async () => {
+  assert.equal((await run('newly')).code, 0);
+  assert.equal((await run('--threshold', 'widely', 'newly')).code, 1);
+  assert.equal((await run('--threshold=limited', 'limited')).code, 0);
+});
+
+test('prints the scan as JSON with --json', async () => {
+  const { code, stdout } = await run('--json', '--threshold', 'widely', 'newly', 'widely');
+  assert.equal(code, 1);
+
+  const report = JSON.parse(stdout);
+  assert.equal(report.threshold, 'widely');
+  assert.equal(report.files, 3);
+  assert.deepEqual(report.failures, ['css-backdrop-filter']);
+  const feature = report.features.find(f => f.id === 'css-backdrop-filter');
+  assert.equal(feature.baseline.status, 'newly');
+  assert.deepEqual(feature.files, ['newly/glass.css']);
+});
+
+test('exits 2 on usage errors', async () => {
+  const invalid = await run('--threshold', 'bogus', 'widely');
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /Invalid threshold "bogus"/);
+
+  assert.equal((await run('--verbose', 'widely')).code, 2);
+  assert.equal((await run()).code, 2);
+  assert.equal((await run('--help')).code, 0);
+});
+
+test('passes features used only behind a feature test', async () => {
+  const { code, stdout } = await run('guarded');
+  assert.equal(code, 0);
+  assert.match(stdout, /Web Share API \(share\) \[guarded\]/);
+});
@@ -0,0 +1,61 @@
+// detection-rules.test.js - Feature guard classification in scripts
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countUsage, detectScriptText, mergeLocation } from '../src/detection-rules.js';
+
+// Collect hits the way the content script does: `{ id: { usage, lines } }`, guarded lines marked "g"
+function detect(code) {
+  const features = new Map();
+  const { guards } = detectScriptText(code, (id, name, type, evidence, location) => {
+    const feature = features.get(id) || { locations: [] };
+    features.set(id, feature);
+    mergeLocation(feature.locations, location);
+    countUsage(feature, location);
+  }, { source: 'app.js' });
+
+  const found = Object.fromEntries([...features].map(([id, feature]) => [id, {
+    usage: feature.usage,
+    lines: feature.locations.map(location => `${location.line}${location.guarded ? 'g' : ''}`)
+  }]));
+  return { found, guards: guards.map(guard => `${guard.id}:${guard.location.line}`) };
+}
+
+test('marks uses behind a passing feature test as guarded, without counting the test', () => {
+  const { found, guards } = detect("if (typeof Promise.any === 'function') {\n  Promise.any([]);\n}");
+  assert.deepEqual(found['promise-any'], { usage: { guarded: 1, unguarded: 0 }, lines: ['2g'] });
+  assert.deepEqual(guards, ['promise-any:1']);
+});
+
+test('leaves uses in the branch where the test failed unguarded', () => {
+  const { found } = detect("if (typeof Promise.any === 'undefined') {\n  Promise.any([]);\n}");
+  assert.deepEqual(found['promise-any'], { usage: { guarded: 0, unguarded: 1 }, lines: ['2'] });
+});
+
+test('guards the right-hand side of an `in` check', () => {
+  const { found } = detect("'share' in navigator && navigator.share({});");
+  assert.deepEqual(found['web-share'], { usage: { guarded: 1, unguarded: 0 }, lines: ['1g'] });
+});
+
+test('treats uses inside try/catch as guarded', () => {
+  const { found } = detect('try {\n  structuredClone({});\n} catch {}');
+  assert.deepEqual(found['structured-clone'].lines, ['2g']);
+});
+
+test('a line with both guarded and unguarded uses is unguarded', () => {
+  const { found } = detect("if (typeof Promise.any === 'function') { Promise.any([]) } Promise.any([1])");
+  assert.deepEqual(found['promise-any'], { usage: { guarded: 1, unguarded: 1 }, lines: ['1'] });
+});
+
+test('mergeLocation keeps one entry per line and a bounded list', () => {
+  const locations = [];
+  for (let line = 1; line <= 30; line++) {
+    mergeLocation(locations, { source: 'app.js', selector: null, line, guarded: true });
+  }
+  assert.equal(locations.length, 25);
+
+  // An unguarded hit on a full list still clears the mark on a known line
+  mergeLocation(locations, { source: 'app.js', selector: null, line: 3 });
+  assert.equal(locations.length, 25);
+  assert.equal(locations[2].guarded, undefined);
+});
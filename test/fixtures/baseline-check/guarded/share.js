@@ -0,0 +1,3 @@
+if ('share' in navigator) {
+  navigator.share({ url: location.href });
+}
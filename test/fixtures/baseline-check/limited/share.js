@@ -0,0 +1,3 @@
+document.querySelector(".share").addEventListener("click", function () {
+  navigator.share({ url: location.href });
+});
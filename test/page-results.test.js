@@ -0,0 +1,103 @@
+// page-results.test.js - Content-hash claims, the analysis cache and merged page results
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisCache, hashText } from '../src/analysis-cache.js';
+import { PageResults } from '../src/page-results.js';
+import { detectScriptText } from '../src/detection-rules.js';
+
+const SCRIPTS = [
+  { source: 'inline <script> #a', text: "navigator.share({ url: location.href });\nconst id = structuredClone(state);" },
+  // The same component script, rendered twice
+  { source: 'inline <script> #b', text: 'const copy = structuredClone(data);' },
+  { source: 'inline <script> #c', text: 'const copy = structuredClone(data);' }
+];
+
+// What content.js does for each script in a pass: claim by hash, then detect or replay
+function analyze(results, cache, scripts, counter) {
+  scripts.forEach(({ source, text }) => {
+    const hash = results.claim(text);
+    if (!hash) return;
+    const result = cache.run(`${source}\n${hash}`, add => {
+      counter.parsed++;
+      return detectScriptText(text, add, { source });
+    }, results.add.bind(results));
+    results.addGuards(result.guards);
+  });
+}
+
+test('hashes depend on content and length only', () => {
+  assert.equal(hashText('a { color: red }'), hashText('a { color: red }'));
+  assert.notEqual(hashText('a { color: red }'), hashText('a { color: blue }'));
+  assert.match(hashText(''), /^811c9dc5-0$/);
+});
+
+test('claims each content hash once per analysis', () => {
+  const results = new PageResults();
+  const hash = results.claim('body {}');
+  assert.equal(hash, hashText('body {}'));
+  assert.equal(results.claim('body {}'), null);
+  assert.equal(results.claim('unreadable', 'label'), 'label');
+
+  results.clear();
+  assert.equal(results.claim('body {}'), hash);
+});
+
+test('runs detection once per key and replays the hits afterwards', () => {
+  const cache = new AnalysisCache();
+  let runs = 0;
+  const detect = add => {
+    runs++;
+    add('grid', 'Grid');
+    return { guards: [] };
+  };
+
+  const hits = [];
+  cache.run('site.css\nabc', detect, (...args) => hits.push(args));
+  cache.run('site.css\nabc', detect, (...args) => hits.push(args));
+  assert.equal(runs, 1);
+  assert.deepEqual(hits, [['grid', 'Grid'], ['grid', 'Grid']]);
+});
+
+test('evicts the least recently used entry', () => {
+  const cache = new AnalysisCache(2);
+  let runs = 0;
+  const detect = () => ++runs;
+  ['a', 'b', 'a', 'c', 'a', 'b'].forEach(key => cache.run(key, detect, () => {}));
+  // "b" was evicted by "c", "a" stayed in use
+  assert.equal(runs, 4);
+});
+
+test('re-analysis from the cache gives the same results as the first analysis', () => {
+  const results = new PageResults();
+  const cache = new AnalysisCache();
+  const counter = { parsed: 0 };
+
+  analyze(results, cache, SCRIPTS, counter);
+  const first = JSON.stringify(results.list());
+  // The repeated script is analyzed once
+  assert.equal(counter.parsed, 2);
+  assert.deepEqual(results.get('structured-clone').usage, { guarded: 0, unguarded: 2 });
+
+  results.clear();
+  analyze(results, cache, SCRIPTS, counter);
+  assert.equal(counter.parsed, 2);
+  assert.equal(JSON.stringify(results.list()), first);
+});
+
+test('mutation passes merge new hits and ignore resources already merged', () => {
+  const results = new PageResults();
+  const cache = new AnalysisCache();
+  const counter = { parsed: 0 };
+  analyze(results, cache, SCRIPTS.slice(0, 1), counter);
+  const size = results.size();
+
+  analyze(results, cache, SCRIPTS.slice(0, 1), counter);
+  assert.equal(results.size(), size);
+
+  analyze(results, cache, [{ source: 'inline <script> #d', text: "if ('share' in navigator) {}" }], counter);
+  assert.ok(results.size() > size);
+  // Feature tests found after the feature still show up on it
+  assert.deepEqual(results.get('web-share').guards.map(guard => guard.source), ['inline <script> #d']);
+  assert.deepEqual(results.list().map(feature => feature.id), ['web-share', 'structured-clone']);
+});
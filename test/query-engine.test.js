@@ -0,0 +1,80 @@
+// query-engine.test.js - The local webstatus.dev search syntax
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaselineDataset } from '../src/query-engine.js';
+
+function feature(feature_id, name, { status = 'widely', low_date = null, group = [], snapshot = [], available = [] } = {}) {
+  return {
+    feature_id,
+    name,
+    group,
+    snapshot,
+    baseline: { status, low_date, high_date: null },
+    browser_implementations: Object.fromEntries(available.map(browser => [browser, { status: 'available', version: '1' }]))
+  };
+}
+
+const dataset = new BaselineDataset({
+  source: 'test',
+  generated: '2026-01-01',
+  features: [
+    feature('grid', 'Grid', { low_date: '2017-10-17', group: ['css', 'layout'], snapshot: ['ecmascript-2017'], available: ['chrome', 'firefox'] }),
+    feature('subgrid', 'Subgrid', { status: 'newly', low_date: '2023-09-15', group: ['css', 'layout'], available: ['chrome', 'firefox', 'safari'] }),
+    feature('has', ':has()', { status: 'newly', low_date: '2023-12-19', group: ['selectors'], available: ['chrome', 'safari'] }),
+    feature('view-transitions', 'View transitions', { status: 'limited', group: ['css'], available: ['chrome'] })
+  ]
+});
+
+// Results come sorted by name
+const ids = (query, options) => dataset.search(query, options).data.map(f => f.feature_id);
+
+test('bare words match names and ids', () => {
+  assert.deepEqual(ids('grid'), ['grid', 'subgrid']);
+  assert.deepEqual(ids('view-trans'), ['view-transitions']);
+});
+
+test('fields match their own property', () => {
+  assert.deepEqual(ids('id:grid'), ['grid']);
+  assert.deepEqual(ids('name:sub'), ['subgrid']);
+  assert.deepEqual(ids('baseline_status:newly'), ['has', 'subgrid']);
+  assert.deepEqual(ids('group:selectors'), ['has']);
+  assert.deepEqual(ids('snapshot:ecmascript-2017'), ['grid']);
+  assert.deepEqual(ids('available_on:safari'), ['has', 'subgrid']);
+});
+
+test('baseline_date takes open and closed ranges', () => {
+  assert.deepEqual(ids('baseline_date:2023-01-01..2023-12-31'), ['has', 'subgrid']);
+  assert.deepEqual(ids('baseline_date:..2020-01-01'), ['grid']);
+  assert.deepEqual(ids('baseline_date:2023-10-01..'), ['has']);
+});
+
+test('combines terms with implicit AND, OR, negation and parentheses', () => {
+  assert.deepEqual(ids('group:css baseline_status:newly'), ['subgrid']);
+  assert.deepEqual(ids('group:css AND -group:layout'), ['view-transitions']);
+  assert.deepEqual(ids('id:grid OR id:has'), ['has', 'grid']);
+  assert.deepEqual(ids('(id:grid OR id:has) available_on:firefox'), ['grid']);
+  assert.deepEqual(ids('name:"view transitions"'), ['view-transitions']);
+});
+
+test('an empty query lists everything', () => {
+  assert.equal(ids('').length, 4);
+});
+
+test('rejects unknown fields and unbalanced parentheses', () => {
+  assert.throws(() => dataset.search('colour:red'), /Unknown search field: colour/);
+  assert.throws(() => dataset.search('(id:grid'), /Missing closing parenthesis/);
+  assert.throws(() => dataset.search('id:grid)'), /Unexpected \)/);
+  assert.throws(() => dataset.search('id:grid OR'), /Unexpected end of query/);
+});
+
+test('pages through results with opaque page tokens', () => {
+  const first = dataset.search('', { pageSize: 3 });
+  assert.equal(first.data.length, 3);
+  assert.equal(first.metadata.total, 4);
+
+  const second = dataset.search('', { pageSize: 3, pageToken: first.metadata.next_page_token });
+  assert.equal(second.data.length, 1);
+  assert.equal(second.metadata.next_page_token, undefined);
+  assert.equal(new Set([...first.data, ...second.data]).size, 4);
+});
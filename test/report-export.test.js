@@ -0,0 +1,102 @@
+// report-export.test.js - Tab reports in every export format
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport } from '../src/report-export.js';
+
+const now = new Date('2026-02-01T12:00:00Z');
+
+const record = {
+  url: 'https://example.com/shop',
+  title: 'Shop | Example',
+  target: 'Baseline Widely available',
+  timestamp: Date.parse('2026-02-01T11:59:00Z'),
+  features: [
+    {
+      id: 'css-grid',
+      name: 'Grid',
+      type: 'css-property',
+      webFeatureId: 'grid',
+      evidence: 'Found in site.css',
+      baseline: { status: 'widely', low_date: '2020-07-28', high_date: '2023-01-28' },
+      compliance: { compliant: true, reasons: [] },
+      locations: [{ source: 'https://example.com/site.css', line: 12, column: 2, selector: '.layout' }]
+    },
+    {
+      id: 'css-has',
+      name: ':has()',
+      type: 'css-selector',
+      webFeatureId: 'has',
+      evidence: '=HYPERLINK("http://evil.test")',
+      baseline: { status: 'newly', low_date: '2023-12-19' },
+      compliance: { compliant: false, reasons: ['Not Baseline Widely available (newly)'] },
+      locations: [{ source: 'inline <style> #3f2a9c1e-812', selector: 'a:has(> img)' }]
+    },
+    {
+      id: 'web-share',
+      name: 'Web Share | API',
+      type: 'js-api',
+      webFeatureId: 'web-share',
+      baseline: { status: 'limited' },
+      compliance: { compliant: false, reasons: ['Not Baseline (limited availability)'] },
+      suppression: { id: 's1', scope: 'https://example.com', note: 'Falls back to a copy link', expires: '2026-12-31' }
+    }
+  ]
+};
+
+test('JSON lists features and suppressed features apart, counting only the former', () => {
+  const report = buildReport(record, 'json', { now });
+  assert.equal(report.filename, 'baseline-example-com-shop-2026-02-01.json');
+  assert.equal(report.mimeType, 'application/json');
+
+  const json = JSON.parse(report.content);
+  assert.deepEqual(json.features.map(f => f.id), ['css-has', 'css-grid']);
+  assert.deepEqual(json.suppressed.map(f => f.id), ['web-share']);
+  assert.deepEqual(json.summary, {
+    total: 3, violating: 1, guarded: 0, compliant: 1, unknown: 0, suppressed: 1,
+    byStatus: { newly: 1, widely: 1 }
+  });
+});
+
+test('Markdown escapes pipes and puts suppressed features in their own table', () => {
+  const { content } = buildReport(record, 'markdown', { now });
+  assert.match(content, /^# Baseline report: Shop \\\| Example$/m);
+  assert.match(content, /Features: 3 detected, 1 violating, 1 compliant, 0 guarded, 0 unknown, 1 suppressed/);
+  assert.match(content, /^\| \[:has\(\)\]\(https:\/\/webstatus\.dev\/features\/has\) \| css-selector \| newly \| 2023-12-19 \| — \| ❌ Not Baseline Widely available \(newly\) \|/m);
+
+  const [, suppressed] = content.split('## Suppressed');
+  assert.match(suppressed, /\[Web Share \\\| API\]/);
+  assert.match(suppressed, /\| Falls back to a copy link \| https:\/\/example\.com \| 2026-12-31 \|/);
+});
+
+test('CSV quotes cells and defuses spreadsheet formulas', () => {
+  const { content } = buildReport(record, 'csv', { now });
+  const lines = content.split('\r\n');
+  assert.equal(lines.length, 5);
+  assert.match(lines[0], /^id,name,category,web_feature_id,/);
+  assert.ok(lines[1].startsWith('css-has,:has(),css-selector,has,newly,2023-12-19,,violating,'));
+  assert.ok(lines[1].includes(`"'=HYPERLINK(""http://evil.test"")"`));
+  assert.match(lines[2], /^web-share,Web Share \| API,.*,yes,Falls back to a copy link,2026-12-31,,$/);
+});
+
+test('SARIF reports violations as errors and suppressed features as accepted', () => {
+  const { content, mimeType } = buildReport(record, 'sarif', { now, toolVersion: '1.2.3' });
+  assert.equal(mimeType, 'application/sarif+json');
+
+  const [run] = JSON.parse(content).runs;
+  assert.equal(run.tool.driver.version, '1.2.3');
+  assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+    ['css-has', 'error'], ['web-share', 'error'], ['css-grid', 'note']
+  ]);
+
+  const [has, share, grid] = run.results;
+  assert.equal(has.suppressions, undefined);
+  assert.deepEqual(share.suppressions, [{ kind: 'external', status: 'accepted', justification: 'Falls back to a copy link' }]);
+  // Inline sources point at the page; files keep their position, with 1-based columns
+  assert.equal(has.locations[0].physicalLocation.artifactLocation.uri, 'https://example.com/shop');
+  assert.deepEqual(grid.locations[0].physicalLocation.region, { startLine: 12, startColumn: 3 });
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => buildReport(record, 'xlsx'), /Unknown report format "xlsx"/);
+});
@@ -0,0 +1,73 @@
+// source-locations.test.js - Source map decoding and CSS rule lookup
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SourceResolver, decodeMappings, findRulePosition } from '../src/source-locations.js';
+
+function inlineSourceMap(map) {
+  return `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+}
+
+test('decodes VLQ mappings into absolute segments', () => {
+  assert.deepEqual(decodeMappings('AAAA;AACA,IAAI;;AAFA'), [
+    [[0, 0, 0, 0]],
+    [[0, 0, 1, 0], [4, 0, 1, 4]],
+    [],
+    [[0, 0, -1, 4]]
+  ]);
+});
+
+test('decodes multi-digit values and skips segments without a source', () => {
+  // "gB" carries a continuation bit: 32 >> 1 = 16
+  assert.deepEqual(decodeMappings('gBCEG,C'), [[[16, 1, 2, 3]]]);
+});
+
+test('finds a rule from its normalized selector text', () => {
+  const css = '.card{color:red}\n\n.list >li ,\n  .item  a:hover {\n  color: blue;\n}\n';
+  assert.deepEqual(findRulePosition(css, '.card'), { line: 1, column: 0 });
+  assert.deepEqual(findRulePosition(css, '.list > li, .item a:hover'), { line: 3, column: 0 });
+  assert.equal(findRulePosition(css, '.missing'), null);
+});
+
+test('does not match a selector inside a longer one', () => {
+  assert.deepEqual(findRulePosition('.card-title{}\n.card{}', '.card'), { line: 2, column: 0 });
+});
+
+test('maps generated positions back through an inline source map', async () => {
+  const files = {
+    'https://example.com/app.js': `a();\nb(); c();\n${inlineSourceMap({
+      version: 3,
+      sourceRoot: 'src',
+      sources: ['main.js'],
+      mappings: 'AAAA;AAEA,KAAK'
+    })}`
+  };
+  const resolver = new SourceResolver(url => files[url]);
+
+  assert.deepEqual(await resolver.resolve({ source: 'https://example.com/app.js', line: 2, column: 6 }), {
+    url: 'https://example.com/app.js',
+    line: 2,
+    column: 6,
+    original: { url: 'https://example.com/src/main.js', line: 3, column: 5 }
+  });
+});
+
+test('looks up CSS rules in the stylesheet text', async () => {
+  const resolver = new SourceResolver(() => 'body {}\n.grid { display: grid }');
+
+  assert.deepEqual(await resolver.resolve({ source: 'https://example.com/site.css', selector: '.grid' }), {
+    url: 'https://example.com/site.css',
+    line: 2,
+    column: 0
+  });
+  assert.deepEqual(await resolver.resolve({ source: 'https://example.com/site.css', selector: '.flex' }), {
+    url: 'https://example.com/site.css',
+    line: null,
+    column: null
+  });
+});
+
+test('leaves inline sources unresolved', async () => {
+  const resolver = new SourceResolver(() => assert.fail('inline sources have no file'));
+  assert.equal(await resolver.resolve({ source: 'inline <script> #1a2b3c', line: 1 }), null);
+});
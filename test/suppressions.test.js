@@ -0,0 +1,64 @@
+// suppressions.test.js - Suppression scopes, expiry and matching
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySuppressions, findSuppression, isExpired, matchesScope } from '../src/suppressions.js';
+
+test('a bare origin covers every page on it and nothing else', () => {
+  assert.equal(matchesScope('https://app.example.com', 'https://app.example.com/'), true);
+  assert.equal(matchesScope('https://app.example.com', 'https://app.example.com/admin/users?tab=2'), true);
+  assert.equal(matchesScope('https://app.example.com', 'http://app.example.com/'), false);
+  assert.equal(matchesScope('https://app.example.com', 'https://app.example.com.evil.test/'), false);
+});
+
+test('wildcards match anything, and other scopes match the whole URL', () => {
+  assert.equal(matchesScope('https://*.example.com/*', 'https://docs.example.com/guide'), true);
+  assert.equal(matchesScope('https://example.com/blog/*', 'https://example.com/blog/2024/post'), true);
+  assert.equal(matchesScope('https://example.com/blog/*', 'https://example.com/shop'), false);
+  assert.equal(matchesScope('https://example.com/about', 'https://example.com/about/team'), false);
+});
+
+test('scopes without a scheme match any scheme', () => {
+  assert.equal(matchesScope('app.example.com', 'https://app.example.com/settings'), true);
+  assert.equal(matchesScope('app.example.com', 'http://app.example.com/'), true);
+  assert.equal(matchesScope('app.example.com', 'https://example.com/'), false);
+  assert.equal(matchesScope('*.example.com', 'https://docs.example.com/guide'), true);
+  assert.equal(matchesScope('localhost:8080/admin/*', 'http://localhost:8080/admin/users'), true);
+});
+
+test('an empty scope covers every site', () => {
+  assert.equal(matchesScope('', 'https://example.com/'), true);
+  assert.equal(matchesScope('  ', 'http://localhost:8080/x'), true);
+  assert.equal(matchesScope(undefined, 'file:///tmp/page.html'), true);
+});
+
+test('suppressions apply through the whole expiry day, in local time', () => {
+  const suppression = { expires: '2026-03-15' };
+  assert.equal(isExpired(suppression, new Date(2026, 2, 15, 23, 59).getTime()), false);
+  assert.equal(isExpired(suppression, new Date(2026, 2, 16, 0, 0).getTime()), true);
+  assert.equal(isExpired({ expires: null }, Date.now()), false);
+});
+
+test('finds suppressions by local rule id or web-features id', () => {
+  const suppressions = [
+    { id: 'a', scope: 'https://other.test', feature: 'has', expires: null },
+    { id: 'b', scope: '', feature: 'old', expires: '2020-01-01' },
+    { id: 'c', scope: '', feature: 'has', expires: null }
+  ];
+  const now = new Date(2026, 0, 1).getTime();
+  assert.equal(findSuppression(suppressions, { id: 'css-has', webFeatureId: 'has' }, 'https://example.com/', now).id, 'c');
+  assert.equal(findSuppression(suppressions, { id: 'old' }, 'https://example.com/', now), null);
+});
+
+test('annotates suppressed features and clears stale annotations', () => {
+  const suppressions = [{ id: 'c', scope: 'https://example.com', feature: 'has', note: 'Polyfilled', expires: null }];
+  const features = [
+    { id: 'has', compliance: { compliant: false } },
+    { id: 'grid', suppression: { id: 'removed' } }
+  ];
+
+  assert.deepEqual(applySuppressions(features, suppressions, 'https://example.com/page'), [
+    { id: 'has', compliance: { compliant: false }, suppression: { id: 'c', scope: 'https://example.com', note: 'Polyfilled', expires: null } },
+    { id: 'grid' }
+  ]);
+});
@@ -0,0 +1,71 @@
+// target-policy.test.js - Browser support targets and feature evaluation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIREFOX_ESR_VERSION, describeTarget, evaluateFeature, evaluateFeatures, isGuardedUsage, parseTargetQuery } from '../src/target-policy.js';
+
+const subgrid = {
+  id: 'css-subgrid',
+  baseline: { status: 'newly', low_date: '2023-09-15' },
+  browser_implementations: {
+    chrome: { status: 'available', version: '117' },
+    firefox: { status: 'available', version: '71' },
+    safari: { status: 'available', version: '16' }
+  }
+};
+
+test('parses browserslist-style queries', () => {
+  assert.deepEqual(parseTargetQuery('chrome >= 110, safari 16.4, firefox esr'), {
+    baseline: null,
+    browsers: { chrome: '110', safari: '16.4', firefox: FIREFOX_ESR_VERSION }
+  });
+  assert.deepEqual(parseTargetQuery('baseline 2023 or ios_saf >= 17'), {
+    baseline: { type: 'year', year: 2023 },
+    browsers: { safari_ios: '17' }
+  });
+  assert.deepEqual(parseTargetQuery('Baseline widely available').baseline, { type: 'widely' });
+});
+
+test('rejects unparseable queries', () => {
+  assert.throws(() => parseTargetQuery(''), /Query is empty/);
+  assert.throws(() => parseTargetQuery('netscape >= 4'), /Unknown browser "netscape"/);
+  assert.throws(() => parseTargetQuery('chrome latest'), /Cannot parse "chrome latest"/);
+});
+
+test('describes targets, including invalid ones', () => {
+  assert.equal(describeTarget({ type: 'newly' }), 'Baseline Newly available');
+  assert.equal(describeTarget({ type: 'query', query: 'baseline 2022, chrome >= 100' }), 'Baseline 2022, Chrome ≥ 100');
+  assert.match(describeTarget({ type: 'query', query: '' }), /^Invalid target/);
+});
+
+test('checks Baseline status, year and browser versions', () => {
+  assert.deepEqual(evaluateFeature(subgrid, { type: 'newly' }), { compliant: true, reasons: [] });
+  assert.deepEqual(evaluateFeature(subgrid, { type: 'widely' }), { compliant: false, reasons: ['Not Baseline Widely available (newly)'] });
+  assert.deepEqual(evaluateFeature(subgrid, { type: 'year', year: 2022 }), { compliant: false, reasons: ['Baseline 2023, after 2022'] });
+  assert.deepEqual(evaluateFeature(subgrid, { type: 'year', year: 2023 }), { compliant: true, reasons: [] });
+  assert.deepEqual(evaluateFeature(subgrid, { type: 'browsers', browsers: { chrome: '110', edge: '110' } }), {
+    compliant: false,
+    reasons: ['Needs Chrome 117', 'Not supported in Edge']
+  });
+});
+
+test('leaves features without Baseline data unknown', () => {
+  assert.deepEqual(evaluateFeature({ id: 'x' }), { compliant: null, reasons: ['No Baseline data'] });
+});
+
+test('passes non-Baseline features used only behind guards as progressive enhancement', () => {
+  const guarded = { ...subgrid, usage: { guarded: 2, unguarded: 0 } };
+  assert.equal(isGuardedUsage(guarded), true);
+  assert.deepEqual(evaluateFeature(guarded, { type: 'widely' }), {
+    compliant: true,
+    guarded: true,
+    reasons: ['Not Baseline Widely available (newly)']
+  });
+  assert.equal(isGuardedUsage({ ...subgrid, usage: { guarded: 2, unguarded: 1 } }), false);
+});
+
+test('an invalid target leaves every feature unknown', () => {
+  const [feature] = evaluateFeatures([subgrid], { type: 'query', query: 'chrome latest' });
+  assert.equal(feature.compliance.compliant, null);
+  assert.match(feature.compliance.reasons[0], /Cannot parse/);
+});
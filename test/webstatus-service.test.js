@@ -0,0 +1,177 @@
+// webstatus-service.test.js - WebStatusService against scripts/mock-webstatus.js
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { once } from 'node:events';
+import { WebStatusService } from '../src/webstatus-service.js';
+
+const MOCK_PATH = fileURLToPath(new URL('../scripts/mock-webstatus.js', import.meta.url));
+
+// chrome.storage.local stand-in
+function memoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    async get(keys) {
+      return Object.fromEntries([].concat(keys).filter(key => items.has(key)).map(key => [key, items.get(key)]));
+    },
+    async set(values) {
+      Object.entries(values).forEach(([key, value]) => items.set(key, value));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => items.delete(key));
+    }
+  };
+}
+
+// Start the mock on a free port; `log` collects its "<status> <method> <url>" lines
+async function startMock(args = []) {
+  const child = spawn(process.execPath, [MOCK_PATH, '--port', '0', ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const log = [];
+  let buffered = '';
+  const ready = new Promise((resolve, reject) => {
+    child.on('exit', code => reject(new Error(`Mock server exited with ${code}`)));
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', chunk => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(line => {
+        const started = /on (http:\/\/localhost:\d+)/.exec(line);
+        if (started) resolve(started[1]);
+        else log.push(line);
+      });
+    });
+  });
+  const url = await ready;
+  return {
+    url,
+    log,
+    // Lines are printed after the response is sent; give them a moment to arrive
+    async requests() {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return log;
+    },
+    async reset() {
+      (await this.requests()).length = 0;
+    },
+    async stop() {
+      child.kill();
+      await once(child, 'exit');
+    }
+  };
+}
+
+describe('WebStatusService', () => {
+  let mock;
+  before(async () => {
+    mock = await startMock();
+  });
+  after(() => mock.stop());
+
+  test('batches lookups arriving together into one id query', async () => {
+    const service = new WebStatusService({ baseURL: mock.url, storage: memoryStorage() });
+    await mock.reset();
+
+    const records = await Promise.all([service.getFeatures(['grid']), service.getFeatures(['flexbox', 'has'])]);
+
+    const requests = await mock.requests();
+    assert.equal(requests.length, 1);
+    assert.match(decodeURIComponent(requests[0]), /q=id:flexbox\+OR\+id:grid\+OR\+id:has/);
+    assert.equal(records[0].get('grid').baseline.status, 'widely');
+    assert.ok(records[1].has('has'));
+  });
+
+  test('serves fresh responses from the cache and revalidates expired ones with their ETag', async () => {
+    const storage = memoryStorage();
+    const service = new WebStatusService({ baseURL: mock.url, storage });
+    await mock.reset();
+
+    const first = await service.search('grid', { pageSize: 5 });
+    await service.search('grid', { pageSize: 5 });
+    assert.equal(first.source, 'live');
+    assert.equal((await mock.requests()).length, 1);
+
+    // Age the cached response past its TTL
+    const [key] = [...storage.items.keys()].filter(name => name.startsWith('webstatus:response:'));
+    storage.items.set(key, { ...storage.items.get(key), fetchedAt: 0 });
+
+    const revalidated = await service.search('grid', { pageSize: 5 });
+    const requests = await mock.requests();
+    assert.equal(requests.length, 2);
+    assert.match(requests[1], /^304 /);
+    assert.deepEqual(revalidated.data.map(f => f.feature_id), first.data.map(f => f.feature_id));
+  });
+
+  test('pages through results with the page token', async () => {
+    const service = new WebStatusService({ baseURL: mock.url, storage: memoryStorage() });
+    const first = await service.search('baseline_status:newly', { pageSize: 2 });
+    const second = await service.search('baseline_status:newly', { pageSize: 2, pageToken: first.metadata.next_page_token });
+
+    assert.equal(second.data.length, 2);
+    assert.notDeepEqual(second.data.map(f => f.feature_id), first.data.map(f => f.feature_id));
+  });
+
+  test('does not retry requests the API rejects', async () => {
+    const service = new WebStatusService({ baseURL: mock.url, storage: memoryStorage() });
+    await mock.reset();
+
+    await assert.rejects(service.request('/v1/features', { q: 'bogus:field' }), error => error.status === 400);
+    assert.equal((await mock.requests()).length, 1);
+  });
+
+  test('normalizes the base URL the same way in the constructor and configure()', () => {
+    const service = new WebStatusService({ baseURL: 'http://localhost:8787/', storage: memoryStorage() });
+    assert.equal(service.baseURL, 'http://localhost:8787');
+    service.configure({ baseURL: 'http://localhost:8787//' });
+    assert.equal(service.baseURL, 'http://localhost:8787');
+  });
+});
+
+describe('WebStatusService with a failing API', () => {
+  test('retries 503s with backoff, then leaves the API alone and falls back', async () => {
+    const mock = await startMock(['--fail-rate', '1']);
+    try {
+      const service = new WebStatusService({ baseURL: mock.url, storage: memoryStorage() });
+
+      await assert.rejects(service.request('/v1/features', { q: 'grid' }), error => error.status === 503);
+      assert.equal((await mock.requests()).length, 4);
+      assert.ok(service.unavailableUntil > Date.now());
+
+      // During the cooldown nothing is sent and searches answer from the snapshot
+      const result = await service.search('grid');
+      assert.equal(result.source, 'snapshot');
+      assert.equal((await mock.requests()).length, 4);
+    } finally {
+      await mock.stop();
+    }
+  });
+
+  test('waits out Retry-After when rate limited', async () => {
+    const mock = await startMock(['--rate-limit', '1']);
+    try {
+      const service = new WebStatusService({ baseURL: mock.url, storage: memoryStorage() });
+
+      // The second lookup lands in the same second as the first
+      await service.getFeatures(['grid']);
+      const records = await service.getFeatures(['has']);
+
+      assert.equal(records.get('has').baseline.status, 'widely');
+      assert.deepEqual((await mock.requests()).map(line => line.split(' ')[0]), ['200', '429', '200']);
+    } finally {
+      await mock.stop();
+    }
+  });
+
+  test('answers popup searches from the snapshot at once when the API is unreachable', async () => {
+    const service = new WebStatusService({ baseURL: 'http://127.0.0.1:9', storage: memoryStorage() });
+    const started = Date.now();
+    const result = await service.search('grid');
+
+    assert.equal(result.source, 'snapshot');
+    assert.ok(result.data.some(f => f.feature_id === 'grid'));
+    assert.ok(Date.now() - started < 2000);
+  });
+});
@@ -6,6 +6,15 @@ export default defineConfig({
   plugins: [
     crx({ manifest }),
   ],
+  build: {
+    rollupOptions: {
+      // Extension pages not referenced from the manifest
+      input: {
+        crawl: 'crawl.html',
+        panel: 'panel.html',
+      },
+    },
+  },
   server: {
     cors: {
       origin: [